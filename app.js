@@ -9,32 +9,225 @@
 // ==========================================
 // 1. CONSTANTS & STATE
 // ==========================================
-const PAD_COUNT = 16;
-const LOOP_EPSILON = 0.05; // seconds before endpoint to re-seek for tighter loops
+const PAD_COUNT = 16; // Pads per bank
+const BANK_NAMES = ['A', 'B', 'C', 'D'];
+const BANK_COUNT = BANK_NAMES.length;
+const GRID_COLUMNS = 4;
+const LOOP_EPSILON = 0.05; // Shortest trim region, in seconds
+const SEAM_LOOKAHEAD_MS = 40; // Seams closer than this get a timer instead of waiting for the next frame
+const SEAM_MEASURE_WINDOW_MS = 500; // A fresh position report this soon after a loop restart measures the seam
+const SEAM_STATS_SIZE = 8; // Recent seams behind the readout and the calibration
+const LOOP_LATENCY_MAX = 250; // ms a seek may be issued ahead of its seam
+const LOOP_LATENCY_DEFAULT = 50; // Lead for pads that were never calibrated, about a typical YouTube seek
+const PLAYBACK_WATCHDOG_MS = 250; // Stand-in for animation frames while the tab is hidden
+const SEQ_STEPS = 16; // Steps per sequencer pattern (one bar of 16th notes)
+const SEQ_TIMER_INTERVAL = 5; // ms between sequencer clock checks
+const LAUNCH_QUANTIZE_OPTIONS = [ // Launch grid, in sequencer steps; 0 = fire right away
+    { steps: 0, label: 'OFF' },
+    { steps: 1, label: '1/16' },
+    { steps: 2, label: '1/8' },
+    { steps: 4, label: '1/4' },
+    { steps: 16, label: '1 BAR' }
+];
+const LAUNCH_GRACE_MS = 30; // Hits this soon after a launch point still count as on it
+const SCENE_NAME_MAX = 24;
+const TAKE_TIMER_INTERVAL = 5; // ms between recorder playback checks
+const PAD_MODES = ['gate', 'oneshot', 'loop'];
+const CHOKE_GROUPS = [0, 1, 2, 3, 4, 5, 6, 7, 8]; // 0 = no group
+const TIMELINE_MIN_VIEW = 0.25; // Narrowest zoomed-in view, in seconds
+const NUDGE_FRAME = 1 / 30; // Arrow keys move a trim point one video frame
+const NUDGE_SETTLE_MS = 500; // Nudges closer together than this form one undo step
+const PUNCH_KEYS = { BracketLeft: 'punchIn', BracketRight: 'punchOut', Backslash: 'repunch' }; // By e.code
+const SLICE_DIVISIONS = [4, 8, 16]; // Equal chops offered next to the timeline
+const ENVELOPE_MAX_MS = 2000; // Longest attack/release
+const ENVELOPE_TICK_MS = 15; // Volume ramp resolution
+const VELOCITY_CURVES = ['off', 'linear', 'log', 'fixed'];
+const FIXED_VELOCITY_DEFAULT = 100; // Level every hit plays at with the 'fixed' curve, until the pad sets its own
+const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]; // YouTube supported rates
+const LOCAL_RATE_MIN = 0.25; // Local files play any rate in between; browsers mute audio much beyond these
+const LOCAL_RATE_MAX = 4;
+const LOCAL_MEDIA_TYPES = ['video/mp4', 'video/webm', 'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/webm'];
+const LOCAL_MEDIA_EXTENSIONS = ['.mp4', '.webm', '.mp3', '.wav']; // For drops that come without a MIME type
+const PLAYER_STATE = { UNSTARTED: -1, ENDED: 0, PLAYING: 1, PAUSED: 2, BUFFERING: 3, CUED: 5 }; // YT.PlayerState values, usable offline
+const MASTER_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2]; // Master tempo multipliers; the product snaps to PLAYBACK_RATES
+const LOOP_LENGTHS = [0, 1, 2, 4, 8, 16, 32]; // Loop length choices in beats; 0 = free end point
+const BEATS_PER_BAR = 4;
+const SOURCE_BPM_MIN = 20;
+const SOURCE_BPM_MAX = 400;
+const TAP_TEMPO_TIMEOUT = 2000; // A pause this long starts a new tap sequence
+const TAP_TEMPO_TAPS = 8; // Most recent taps averaged into the tempo
+const MIDI_MAPPINGS_STORAGE_KEY = 'yousampler.midiMappings';
+const KEY_MAP_STORAGE_KEY = 'yousampler.keyMap';
+
+// Pad keys per layout: the same physical 4x4 block (matched by e.code), labelled with what each
+// layout prints on it (matched by e.key as a fallback). Keys are listed in slot order.
+const KEY_MAP_CODES = [
+    'Digit1', 'Digit2', 'Digit3', 'Digit4',
+    'KeyQ', 'KeyW', 'KeyE', 'KeyR',
+    'KeyA', 'KeyS', 'KeyD', 'KeyF',
+    'KeyZ', 'KeyX', 'KeyC', 'KeyV'
+];
+const KEY_MAP_PRESETS = {
+    qwerty: { label: 'QWERTY', keys: ['1', '2', '3', '4', 'q', 'w', 'e', 'r', 'a', 's', 'd', 'f', 'z', 'x', 'c', 'v'] },
+    azerty: { label: 'AZERTY', keys: ['&', 'é', '"', "'", 'a', 'z', 'e', 'r', 'q', 's', 'd', 'f', 'w', 'x', 'c', 'v'] },
+    qwertz: { label: 'QWERTZ', keys: ['1', '2', '3', '4', 'q', 'w', 'e', 'r', 'a', 's', 'd', 'f', 'y', 'x', 'c', 'v'] },
+    dvorak: { label: 'DVORAK', keys: ['1', '2', '3', '4', "'", ',', '.', 'p', 'a', 'o', 'e', 'u', ';', 'q', 'j', 'k'] },
+    colemak: { label: 'COLEMAK', keys: ['1', '2', '3', '4', 'q', 'w', 'f', 'p', 'a', 'r', 's', 't', 'z', 'x', 'c', 'v'] }
+};
+const MIDI_EDIT_SETTLE_MS = 500; // CC moves closer together than this form one undo step
+const MIDI_CLOCK_PPQN = 24; // MIDI clock ticks per quarter note
+const MIDI_CLOCK_TICKS_PER_STEP = MIDI_CLOCK_PPQN / 4;
+const MIDI_CLOCK_LOOKAHEAD = 50; // ms of outgoing clock handed to the MIDI driver ahead of time
+const MIDI_CLOCK_TIMEOUT = 1000; // A gap this long means the incoming clock paused
+const MIDI_FEEDBACK_STORAGE_KEY = 'yousampler.midiFeedback';
+
+// LED feedback profiles: which note lights each bank slot, and the velocity (color) per pad state.
+// Grid controllers get the top-left 4x4 of their grid so the layout matches the screen.
+const MIDI_FEEDBACK_PROFILES = {
+    generic: {
+        label: 'GENERIC',
+        channel: 0,
+        note: slot => 36 + slot,
+        colors: { empty: 0, loaded: 32, selected: 64, playing: 127 }
+    },
+    launchpad: {
+        label: 'LAUNCHPAD', // Programmer mode: 11 is bottom-left, rows step by 10
+        channel: 0,
+        note: slot => 11 + (7 - Math.floor(slot / GRID_COLUMNS)) * 10 + slot % GRID_COLUMNS,
+        colors: { empty: 0, loaded: 1, selected: 45, playing: 21 } // Off, grey, blue, green
+    },
+    apcmini: {
+        label: 'APC MINI', // 0 is bottom-left, rows step by 8
+        channel: 0,
+        note: slot => (7 - Math.floor(slot / GRID_COLUMNS)) * 8 + slot % GRID_COLUMNS,
+        colors: { empty: 0, loaded: 5, selected: 3, playing: 1 } // Off, yellow, red, green
+    }
+};
+const KIT_FILE_FORMAT = 'yousampler-kit';
+const KIT_FILE_VERSION = 1; // Bump when the kit file layout changes
+const KIT_FILE_EXTENSION = '.yousampler.json';
+const UNDO_LIMIT = 100; // Pad edits kept in the undo history
+const PLAYER_ERROR_REASONS = { // YouTube onError codes
+    2: 'Invalid video ID',
+    5: 'Video can\'t play in the HTML5 player',
+    100: 'Video not found (removed or private)',
+    101: 'Embedding disabled by the owner',
+    150: 'Embedding disabled by the owner',
+    unsupported: 'File can\'t be played in this browser' // Local files
+};
+const LOAD_REPORT_TIMEOUT = 15000; // ms a shared link's pads get to load before failures are reported anyway
 const pads = [];
 let activePadIndex = null;
 let padToLoadIndex = null; // For modal loading
 let activePadStack = []; // Stack to track z-order of playing pads
+let currentBank = 0; // Bank shown in the grid and targeted by keys/MIDI notes
+const undoStack = []; // { before, after } pad snapshots, keyed by pad index
+const redoStack = [];
 
 class PadState {
     constructor(id) {
         this.id = id;
-        this.videoId = null;
-        this.player = null;
+        this.videoId = null; // YouTube video ID, or the object URL of a local file
+        this.sourceType = 'youtube'; // 'youtube' | 'file'; local files only last the session
+        this.player = null; // YT.Player or MediaElementPlayer
         this.startTime = 0;
         this.endTime = 0;
         this.duration = 0;
         this.mode = 'gate'; // 'gate', 'oneshot', 'loop'
         this.isPlaying = false;
         this.title = '';
+        this.error = null; // YouTube error code while the video can't play (not saved)
         this.volume = 100;
         this.playbackRate = 1;
         this.retrigger = true;
+        this.steps = new Array(SEQ_STEPS).fill(false); // Step sequencer pattern
+        this.chokeGroup = 0; // Pads sharing a group cut each other off (a.k.a. mute group); 0 = none
+        this.velocityCurve = 'off'; // How hit velocity scales volume: 'off', 'linear', 'log', 'fixed'
+        this.fixedVelocity = FIXED_VELOCITY_DEFAULT; // 1-127, what every hit counts as with the 'fixed' curve
+        this.velocityGain = 1; // Gain of the last hit (not saved)
+        this.sliceMarkers = []; // Manual chop points (seconds) inside the trim range
+        this.sliceOf = null; // Index of the pad this slice was chopped from
+        this.attack = 0; // Fade-in on trigger and loop restart, ms
+        this.release = 0; // Fade-out on gate release, region end and loop seam, ms
+        this.envelopeGain = 1; // Current fade level (not saved)
+        this.envelopePhase = null; // 'attack' | 'release' while a fade runs
+        this.envelopeTimer = null;
+        this.muted = false;
+        this.soloed = false;
+        this.loopLatency = LOOP_LATENCY_DEFAULT; // ms loop seeks are issued ahead of the seam
+        this.clock = null; // { reported, media, wall }: last position report and when it arrived (not saved)
+        this.seamTimer = null;
+        this.seamCheck = null; // { issuedAt, seamAt, rate } until the restart shows up in a report
+        this.seamErrors = []; // Recent seam errors, ms
+        this.seamLatencies = []; // Recent seek latencies, ms
+        this.gapless = false; // Keep a second player cued at the start to switch to instead of seeking
+        this.altPlayer = null; // That standby player (not saved)
+        this.altReady = false; // Standby has buffered once; each jump still checks it is cued at the start
+        this.sourceBpm = 0; // Tempo of the clip itself; 0 = untagged
+        this.loopBeats = 0; // End point this many beats after the start; 0 = dragged freely
+        this.tempoSync = false; // Play at the rate nearest to the project tempo
     }
 }
 
-// Initialize Pad States
-for (let i = 0; i < PAD_COUNT; i++) {
+// Global clock shared by the step sequencer
+const transport = {
+    bpm: 120,
+    swing: 50, // Percent; 50 is straight, ~66 is a triplet shuffle
+    isRunning: false,
+    currentStep: -1,
+    nextStepTime: 0, // performance.now() time of the next (unswung) step
+    timer: null,
+    launchQuantize: 0, // Steps between launch points for performed hits; 0 = off
+    lastStepTime: 0, // performance.now() time the current step fired
+    downbeatTime: null // Start of the last bar, which the launch grid runs on from while stopped
+};
+const sequencerHeldPads = new Set(); // Pads the sequencer triggered and has yet to release
+const pendingLaunches = new Map(); // Pad index -> 'start' | 'loop', waiting for the next launch point
+let launchTimer = null; // Stands in for the sequencer's steps while it is stopped
+
+// Master bus, applied on top of every pad's own volume and rate
+const master = {
+    volume: 100,
+    rateMultiplier: 1
+};
+
+// MIDI clock: follow an external device's tempo, or send ours to other gear
+const midiClock = {
+    source: 'internal', // 'internal' or the id of the MIDI input the transport follows
+    sendEnabled: false,
+    tickCount: 0, // Incoming ticks since the transport started; every 6th is a step
+    tickTimes: [], // Recent incoming tick times, for the tempo estimate
+    resumeStep: -1, // Position kept across Stop/Continue
+    resumeTickCount: 0,
+    nextSendTime: 0 // performance.now() time of the next outgoing tick
+};
+
+// MIDI LED feedback to a pad controller
+const midiFeedback = {
+    outputName: '', // Port lit with pad states ('' = none); by name, since ids can change between sessions
+    profile: 'generic',
+    sent: {} // note -> velocity last sent, so only changes go out
+};
+
+// Performance recorder: a take is a list of timestamped pad triggers/releases
+const recorder = {
+    isRecording: false,
+    isPlaying: false,
+    overdub: false,
+    quantize: 0, // Replay grid in 16th-note steps (0 = off)
+    events: [], // { time, type: 'trigger' | 'release', index, velocity }
+    overdubEvents: [], // Captured during an overdub, merged into the take on stop
+    length: 0, // Take length in ms
+    startTime: 0, // performance.now() when recording/playback started
+    schedule: [], // Replay events with quantized times
+    scheduleIndex: 0,
+    timer: null,
+    heldPads: new Set(), // Pads with a recorded trigger awaiting its release
+    playbackHeldPads: new Set() // Pads the replaying take triggered and has yet to release
+};
+
+// Initialize Pad States (banks are stored back to back: A0-A15, B0-B15, ...)
+for (let i = 0; i < PAD_COUNT * BANK_COUNT; i++) {
     pads.push(new PadState(i));
 }
 
@@ -59,6 +252,8 @@ const knobPitch = document.getElementById('knob-pitch');
 const valBarVol = document.getElementById('vol-path');
 const valBarPitch = document.getElementById('pitch-path');
 const pitchText = document.getElementById('pitch-text');
+const knobAttack = document.getElementById('knob-attack');
+const knobRelease = document.getElementById('knob-release');
 
 // Mode Control
 const modeControlLcd = document.getElementById('mode-control-lcd');
@@ -87,31 +282,65 @@ let apiReady = false;
 let pendingUrlState = null;
 let stateApplied = false;
 let apiReadyPoll = null;
+let loadReport = null; // { pending: Set of pad indices, failed: [pad index], timer } while a shared link loads
 let suggestedVideos = [];
 let midiEnabled = false;
 let midiAccess = null;
+let currentProjectId = null; // Library entry the current kit was loaded from / saved to
+let midiLearnActive = false;
+let midiLearnTarget = null; // e.g. 'pad:3' (bank slot) or 'param:volume'
+let midiMappings = {}; // device name -> [{ type: 'note' | 'cc', channel, number, target }]
+let lastPenPressure = null; // Pressure of the pen press that fires the next mousedown
+let keyBindings = []; // Bank slot -> { code, key, label }
+let keyCaptureSlot = null; // Slot waiting for a key press to rebind it
+let sceneKeyCaptureId = null; // Scene waiting for a key press to bind it
+let scenes = []; // { id, name, pads: [pad index], key: { code, key } | null }, in row order
+let sceneLaunchOnBar = false; // Scenes wait for the next bar instead of launching right away
+let currentSceneId = null; // Last launched scene
+let pendingSceneId = null; // Scene waiting for the next bar
+const timelineView = { padIndex: null, start: 0, duration: 0 }; // Visible part of the trim timeline, in seconds
+let nudgeTarget = 'start'; // Trim point the arrow keys move
+let repunch = null; // { edit, padIndex, endTime } while a re-punch is held
+let tapTempo = null; // { padIndex, times, edit, timer } while taps keep coming
 
 // ==========================================
 // 3. INITIALIZATION
 // ==========================================
 function init() {
+    keyBindings = loadKeyBindings(); // Pad key labels are rendered from these
     renderPads();
     setupKnobs();
     setupModeControl();
     setupRetriggerControl();
+    setupGaplessControl();
+    setupChokeControl();
+    setupMasterBus();
+    setupTempoControls();
+    setupSeamControls();
+    setupSliceControls();
+    setupPunchControls();
+    setupVelocityControl();
     setupTimelineEvents();
+    setupKeyMapping();
     setupKeyboardEvents();
+    setupBankEvents();
     setupModalEvents();
+    setupProjectLibrary();
+    setupKitFileEvents();
     setupTrashEvents();
     setupClipboardEvents();
     setupShareEvents();
     setupPlayPauseButton();
     setupFullScreenEvents();
+    setupSequencer();
+    setupScenes();
+    setupRecorder();
     startPlaybackLoop();
     captureUrlState();
     startApiReadyPolling();
     loadSuggestedVideos();
     setupMidiControl();
+    setupMidiLearn();
     detectMobile();
 
     updateFooterVisibility(); // Initial visibility check
@@ -136,28 +365,23 @@ function detectMobile() {
     }
 }
 
-const keyMap = {
-    '1': 0, '2': 1, '3': 2, '4': 3,
-    'q': 4, 'w': 5, 'e': 6, 'r': 7,
-    'a': 8, 's': 9, 'd': 10, 'f': 11,
-    'z': 12, 'x': 13, 'c': 14, 'v': 15
-};
-
 function renderPads() {
     padGrid.innerHTML = '';
 
-    // Reverse keyMap for display
-    const indexToKey = {};
-    for (const [key, idx] of Object.entries(keyMap)) {
-        indexToKey[idx] = key.toUpperCase();
-    }
-
     pads.forEach((pad, index) => {
+        const slot = getPadSlot(index);
         const padEl = document.createElement('div');
         padEl.classList.add('pad');
         padEl.dataset.index = index;
+        padEl.dataset.midiLearn = 'pad';
         padEl.id = `pad-${index}`;
 
+        // Every bank shares the same grid cells. Pads of hidden banks stay rendered
+        // underneath the current bank so their players keep playing.
+        padEl.style.gridRow = Math.floor(slot / GRID_COLUMNS) + 1;
+        padEl.style.gridColumn = (slot % GRID_COLUMNS) + 1;
+        if (getPadBank(index) !== currentBank) padEl.classList.add('off-bank');
+
         // Key Overlay
         const keyOverlay = document.createElement('div');
         keyOverlay.classList.add('pad-key-overlay');
@@ -170,10 +394,41 @@ function renderPads() {
                 <!-- Top Face (smaller, centered) -->
                 <rect x="4.5" y="2" width="15" height="15" rx="2" class="keycap-top" />
             </svg>
-            <span class="key-label">${indexToKey[index] || ''}</span>
+            <span class="key-label">${keyBindings[slot] ? keyBindings[slot].label : ''}</span>
         `;
+        keyOverlay.title = 'Click, then press a key to rebind';
+        keyOverlay.addEventListener('mousedown', (e) => e.stopPropagation()); // Don't trigger the pad
+        keyOverlay.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startKeyCapture(slot);
+        });
         padEl.appendChild(keyOverlay);
 
+        // Mute / Solo
+        const mix = document.createElement('div');
+        mix.classList.add('pad-mix');
+        [['muted', 'M', 'Mute'], ['soloed', 'S', 'Solo']].forEach(([param, label, title]) => {
+            const btn = document.createElement('button');
+            btn.classList.add('pad-mix-btn');
+            btn.dataset.param = param;
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('mousedown', (e) => e.stopPropagation()); // Don't trigger the pad
+            btn.addEventListener('touchstart', (e) => e.stopPropagation());
+            btn.addEventListener('touchend', (e) => e.stopPropagation()); // The pad's handler would cancel the click
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                togglePadMix(index, param);
+            });
+            mix.appendChild(btn);
+        });
+        padEl.appendChild(mix);
+
+        // Pen pressure is only on the pointer event, which fires just before the mousedown
+        padEl.addEventListener('pointerdown', (e) => {
+            lastPenPressure = (e.pointerType === 'pen' && e.pressure > 0) ? e.pressure : null;
+        });
+
         // Mouse Events
         padEl.addEventListener('mousedown', (e) => handlePadTrigger(index, e));
         padEl.addEventListener('mouseup', (e) => handlePadRelease(index, e));
@@ -227,10 +482,94 @@ function destroyPlayer(pad) {
         pad.player.destroy();
     }
     pad.player = null;
+    destroyAltPlayer(pad);
+}
+
+// Player for the pad's source; both kinds answer the same calls and report the same events
+function createPadPlayer(pad, elementId, events) {
+    if (pad.sourceType === 'file') {
+        return new MediaElementPlayer(elementId, { src: pad.videoId, title: pad.title, events });
+    }
+    return new YT.Player(elementId, {
+        height: '100%',
+        width: '100%',
+        videoId: pad.videoId,
+        playerVars: {
+            'playsinline': 1,
+            'controls': 0,
+            'disablekb': 1,
+            'fs': 0,
+            'iv_load_policy': 3,
+            'modestbranding': 1,
+            'rel': 0,
+            'origin': window.location.origin
+        },
+        events
+    });
 }
 
-// Load Video
-function loadVideoToPad(index, videoId, isCopy = false, savedState = null) {
+// Persistable pad fields, using full PadState names. Kit files and URL state are built from this
+function getPadSavedState(pad) {
+    return {
+        videoId: pad.videoId,
+        sourceType: pad.sourceType,
+        title: pad.title,
+        startTime: pad.startTime,
+        endTime: pad.endTime,
+        mode: pad.mode,
+        volume: pad.volume,
+        playbackRate: pad.playbackRate,
+        retrigger: pad.retrigger,
+        steps: [...pad.steps],
+        chokeGroup: pad.chokeGroup,
+        velocityCurve: pad.velocityCurve,
+        fixedVelocity: pad.fixedVelocity,
+        sliceMarkers: [...pad.sliceMarkers],
+        sliceOf: pad.sliceOf,
+        attack: pad.attack,
+        release: pad.release,
+        muted: pad.muted,
+        soloed: pad.soloed,
+        loopLatency: pad.loopLatency,
+        gapless: pad.gapless,
+        sourceBpm: pad.sourceBpm,
+        loopBeats: pad.loopBeats,
+        tempoSync: pad.tempoSync
+    };
+}
+
+// Restore persisted fields, falling back to defaults for anything missing or invalid
+function applySavedState(pad, savedState) {
+    const number = (value, fallback) => Number.isFinite(value) ? value : fallback;
+    pad.sourceType = savedState.sourceType === 'file' ? 'file' : 'youtube';
+    pad.title = savedState.title || '';
+    pad.startTime = Math.max(0, number(savedState.startTime, 0));
+    pad.endTime = Math.max(0, number(savedState.endTime, 0)); // 0 = set to full duration on ready
+    pad.mode = PAD_MODES.includes(savedState.mode) ? savedState.mode : 'gate';
+    pad.volume = Math.max(0, Math.min(100, number(savedState.volume, 100)));
+    pad.playbackRate = number(savedState.playbackRate, 1);
+    pad.retrigger = (savedState.retrigger !== undefined) ? !!savedState.retrigger : true;
+    pad.steps = Array.from({ length: SEQ_STEPS }, (_, step) => !!(savedState.steps && savedState.steps[step]));
+    pad.chokeGroup = CHOKE_GROUPS.includes(savedState.chokeGroup) ? savedState.chokeGroup : 0;
+    pad.velocityCurve = VELOCITY_CURVES.includes(savedState.velocityCurve) ? savedState.velocityCurve : 'off';
+    pad.fixedVelocity = normalizeVelocity(number(savedState.fixedVelocity, FIXED_VELOCITY_DEFAULT));
+    pad.sliceMarkers = Array.isArray(savedState.sliceMarkers) ? savedState.sliceMarkers.filter(Number.isFinite) : [];
+    pad.sliceOf = Number.isInteger(savedState.sliceOf) && savedState.sliceOf >= 0 && savedState.sliceOf < pads.length
+        ? savedState.sliceOf : null;
+    pad.attack = Math.max(0, Math.min(ENVELOPE_MAX_MS, number(savedState.attack, 0)));
+    pad.release = Math.max(0, Math.min(ENVELOPE_MAX_MS, number(savedState.release, 0)));
+    pad.muted = !!savedState.muted;
+    pad.soloed = !!savedState.soloed;
+    pad.loopLatency = Math.max(0, Math.min(LOOP_LATENCY_MAX, number(savedState.loopLatency, LOOP_LATENCY_DEFAULT)));
+    pad.gapless = !!savedState.gapless;
+    pad.sourceBpm = normalizeSourceBpm(number(savedState.sourceBpm, 0));
+    pad.loopBeats = LOOP_LENGTHS.includes(savedState.loopBeats) ? savedState.loopBeats : 0;
+    pad.tempoSync = !!savedState.tempoSync;
+    updatePadMixButtons(pad.id);
+}
+
+// Load Video (fileName marks videoId as the object URL of a local file)
+function loadVideoToPad(index, videoId, isCopy = false, savedState = null, fileName = null) {
     // If the user is manually loading a clip (not applying saved/share state),
     // cancel any pending URL state so it can't later overwrite this pad.
     if (!isCopy && !savedState) {
@@ -243,11 +582,14 @@ function loadVideoToPad(index, videoId, isCopy = false, savedState = null) {
     }
 
     const pad = pads[index];
+    const loadEdit = (!isCopy && !savedState) ? beginPadEdit([index]) : null;
 
     // Cleanup existing player before creating a new one
     destroyPlayer(pad);
+    if (!savedState) dropFromLoadReport(index); // Replaced before the link's clip could report back
 
     pad.videoId = videoId;
+    pad.error = null;
 
     if (!isCopy && !savedState) {
         // Reset defaults on new load
@@ -257,43 +599,32 @@ function loadVideoToPad(index, videoId, isCopy = false, savedState = null) {
         pad.endTime = 0; // Will be set on ready
         pad.mode = 'gate';
         pad.retrigger = true;
+        pad.gapless = false;
+        pad.sourceBpm = 0; // A new clip has its own tempo
+        pad.loopBeats = 0;
+        pad.tempoSync = false;
+        pad.sourceType = fileName ? 'file' : 'youtube';
+        if (fileName) pad.title = fileName;
+        commitPadEdit(loadEdit); // End time resolves to the full duration again on redo
     } else if (savedState) {
         // Restore saved state
-        pad.volume = savedState.volume;
-        pad.playbackRate = savedState.playbackRate;
-        pad.startTime = savedState.startTime;
-        pad.endTime = savedState.endTime;
-        pad.mode = savedState.mode;
-        pad.retrigger = (savedState.retrigger !== undefined) ? savedState.retrigger : true;
+        applySavedState(pad, savedState);
     }
 
     const padEl = document.getElementById(`pad-${index}`);
     padEl.classList.add('has-video');
+    padEl.classList.remove('player-error');
 
     // Create container, preserving overlay
-    const overlay = padEl.querySelector('.pad-key-overlay');
+    const overlays = padEl.querySelectorAll('.pad-key-overlay, .pad-mix');
     padEl.innerHTML = `<div id="player-${index}"></div>`;
-    if (overlay) padEl.appendChild(overlay);
+    overlays.forEach(overlay => padEl.appendChild(overlay));
 
-    // Initialize YT Player
-    pad.player = new YT.Player(`player-${index}`, {
-        height: '100%',
-        width: '100%',
-        videoId: videoId,
-        playerVars: {
-            'playsinline': 1,
-            'controls': 0,
-            'disablekb': 1,
-            'fs': 0,
-            'iv_load_policy': 3,
-            'modestbranding': 1,
-            'rel': 0,
-            'origin': window.location.origin
-        },
-        events: {
-            'onReady': (event) => onPlayerReady(index, event, isCopy, savedState),
-            'onStateChange': (event) => onPlayerStateChange(index, event)
-        }
+    // Initialize the player
+    pad.player = createPadPlayer(pad, `player-${index}`, {
+        'onReady': (event) => onPlayerReady(index, event, isCopy, savedState),
+        'onStateChange': (event) => onPlayerStateChange(index, event),
+        'onError': (event) => onPlayerError(index, event)
     });
 }
 
@@ -301,15 +632,18 @@ function onPlayerReady(index, event, isCopy, savedState) {
     const pad = pads[index];
     pad.duration = pad.player.getDuration();
 
-    if (!isCopy && !savedState) {
+    if ((!isCopy && !savedState) || !pad.endTime) {
         pad.endTime = pad.duration; // Set end time to full duration on new load
     }
 
     pad.title = pad.player.getVideoData().title;
 
     // Apply current state (volume, playback rate) to the new player
-    pad.player.setVolume(pad.volume);
-    pad.player.setPlaybackRate(pad.playbackRate);
+    pad.player.setVolume(getPadOutputVolume(pad));
+    pad.player.setPlaybackRate(getPadOutputRate(pad));
+    updateAltPlayer(index);
+    updateMidiFeedback(); // Loaded
+    if (pad.duration > 0) dropFromLoadReport(index); // Unplayable videos get ready too, with no duration
 
     // Only select if it's the first one loaded or explicitly requested?
     // Let's select if it's a manual load. For bulk load, maybe not.
@@ -321,18 +655,25 @@ function onPlayerReady(index, event, isCopy, savedState) {
 }
 
 function onPlayerStateChange(index, event) {
+    // The standby player of a gapless pad doesn't speak for the pad
+    if (event.target !== pads[index].player) {
+        onAltPlayerStateChange(index, event);
+        return;
+    }
+
     const padEl = document.getElementById(`pad-${index}`);
-    if (event.data === YT.PlayerState.PLAYING) {
+    if (event.data === PLAYER_STATE.PLAYING) {
         padEl.classList.add('playing');
         pads[index].isPlaying = true;
-    } else if (event.data === YT.PlayerState.ENDED && pads[index].mode === 'loop') {
-        // If we hit the natural video end while in loop mode, immediately restart
+    } else if (event.data === PLAYER_STATE.ENDED && pads[index].mode === 'loop') {
+        // If we hit the natural video end while in loop mode, restart (on the launch grid, if there is one)
         const pad = pads[index];
-        pad.player.seekTo(pad.startTime, true);
-        pad.player.playVideo();
+        if (!holdLoopForLaunch(index)) restartPadLoop(pad);
         padEl.classList.add('playing');
         pad.isPlaying = true;
-    } else if (event.data === YT.PlayerState.PAUSED || event.data === YT.PlayerState.ENDED) {
+    } else if (event.data === PLAYER_STATE.PAUSED && pendingLaunches.get(index) === 'loop') {
+        // Held at the start for the launch grid: the loop is still on, so it keeps its place in the stack
+    } else if (event.data === PLAYER_STATE.PAUSED || event.data === PLAYER_STATE.ENDED) {
         padEl.classList.remove('playing');
         pads[index].isPlaying = false;
 
@@ -343,6 +684,100 @@ function onPlayerStateChange(index, event) {
     updateTransportIcon();
 }
 
+// Private, removed or non-embeddable videos still create a player, which then reports an error
+function onPlayerError(index, event) {
+    const pad = pads[index];
+    if (event.target !== pad.player) {
+        destroyAltPlayer(pad); // Gapless falls back to seeking
+        return;
+    }
+
+    pad.error = event.data;
+    stopPadPlayback(index);
+    showPadError(index);
+
+    if (loadReport && loadReport.pending.has(index)) {
+        loadReport.failed.push(index);
+        dropFromLoadReport(index);
+    }
+}
+
+function getPlayerErrorReason(code) {
+    return PLAYER_ERROR_REASONS[code] || `Playback error (${code})`;
+}
+
+function showPadError(index) {
+    const pad = pads[index];
+    const padEl = document.getElementById(`pad-${index}`);
+    padEl.classList.add('player-error');
+
+    let badge = padEl.querySelector('.pad-error');
+    if (!badge) {
+        badge = document.createElement('div');
+        badge.classList.add('pad-error');
+        badge.addEventListener('mousedown', (e) => e.stopPropagation()); // Don't trigger the pad
+        badge.addEventListener('touchstart', (e) => e.stopPropagation());
+        badge.addEventListener('touchend', (e) => e.stopPropagation()); // The pad's handler would cancel the click
+
+        const reason = document.createElement('span');
+        reason.classList.add('pad-error-reason');
+        badge.appendChild(reason);
+
+        const actions = document.createElement('div');
+        actions.classList.add('pad-error-actions');
+        [['RETRY', 'Load the video again', retryPad], ['REPLACE', 'Load a different video', showLoaderModal]].forEach(([label, title, action]) => {
+            const btn = document.createElement('button');
+            btn.classList.add('pad-error-btn');
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action(index);
+            });
+            actions.appendChild(btn);
+        });
+        badge.appendChild(actions);
+        padEl.appendChild(badge);
+    }
+    badge.querySelector('.pad-error-reason').textContent = getPlayerErrorReason(pad.error);
+    badge.title = pad.videoId;
+}
+
+// Reload the same video with the pad's settings, e.g. after it was made public again
+function retryPad(index) {
+    const pad = pads[index];
+    if (!pad.videoId) return;
+    loadVideoToPad(index, pad.videoId, false, getPadSavedState(pad));
+}
+
+// Track the pads a shared link loads, then list the ones that failed
+function startLoadReport(indices) {
+    finishLoadReport();
+    if (!indices.length) return;
+    loadReport = {
+        pending: new Set(indices),
+        failed: [],
+        timer: setTimeout(finishLoadReport, LOAD_REPORT_TIMEOUT) // Some never report either way
+    };
+}
+
+function dropFromLoadReport(index) {
+    if (!loadReport) return;
+    loadReport.pending.delete(index);
+    if (!loadReport.pending.size) finishLoadReport();
+}
+
+function finishLoadReport() {
+    if (!loadReport) return;
+    const { failed, timer } = loadReport;
+    clearTimeout(timer);
+    loadReport = null;
+    if (!failed.length) return;
+
+    const lines = failed.map(index => `${getPadLabel(index)}: ${getPlayerErrorReason(pads[index].error)}`);
+    alert(`${failed.length === 1 ? 'A pad' : `${failed.length} pads`} from this link couldn't be loaded:\n\n${lines.join('\n')}`);
+}
+
 function updateZIndices() {
     const isFullScreen = document.body.classList.contains('full-screen-mode');
 
@@ -359,6 +794,10 @@ function updateZIndices() {
     // Apply z-indices based on stack position
     activePadStack.forEach((padIndex, stackIndex) => {
         const el = document.getElementById(`pad-${padIndex}`);
+
+        // In the grid, pads of hidden banks must stay beneath the current bank
+        if (!isFullScreen && getPadBank(padIndex) !== currentBank) return;
+
         if (el) {
             // Apply Z-Index Stacking (Critical for visibility order)
             el.style.zIndex = 3000 + stackIndex;
@@ -397,28 +836,90 @@ function handlePadTrigger(index, e) {
         return;
     }
 
-    if (!pad.player) return; // Player might not be ready yet
+    if (!pad.player || pad.error) return; // Player might not be ready yet, or can't play this video
+
+    capturePerformanceEvent('trigger', index, e);
 
     // Logic:
     // If !retrigger: "Operates as play/pause" (Toggle behavior).
     // If retrigger: Always restarts (Retrigger behavior).
     if (pad.isPlaying) {
         if (!pad.retrigger) {
-            pad.player.pauseVideo();
-            pad.isPlaying = false;
-            document.getElementById(`pad-${index}`).classList.remove('playing'); // Sync update
-
-            // Remove from stack
-            activePadStack = activePadStack.filter(i => i !== index);
-            updateZIndices();
-
-            updateTransportIcon();
+            stopPadPlayback(index);
             return;
         }
     }
+    // Likewise, a second hit takes back a launch that is still waiting for the grid
+    if (!pad.retrigger && pendingLaunches.has(index)) {
+        cancelPadLaunch(index);
+        return;
+    }
+
+    // Automated hits shouldn't steal the selection while a pattern is being edited
+    if (!isAutomatedTrigger(e)) {
+        selectPad(index); // Select the triggered pad
+    }
+    pad.velocityGain = getVelocityGain(pad, getTriggerVelocity(e));
+    if (e && e.type === 'sequencer') {
+        startPadPlayback(index); // Steps already fall on the grid
+    } else if (!queuePadLaunch(index, 'start')) {
+        startPadPlayback(index);
+    }
+}
+
+// Hit strength as a MIDI velocity (1-127); inputs without dynamics hit at full strength
+function getTriggerVelocity(e) {
+    if (!e) return 127;
+    if (e.velocity !== undefined) return e.velocity;
+
+    // Touchscreens report force 0 when they can't sense pressure
+    const touch = e.changedTouches && e.changedTouches[0];
+    if (touch && touch.force > 0) return Math.max(1, Math.round(touch.force * 127));
+    if (e.type === 'mousedown' && lastPenPressure !== null) return Math.max(1, Math.round(lastPenPressure * 127));
+    return 127;
+}
+
+function getVelocityGain(pad, velocity) {
+    switch (pad.velocityCurve) {
+        case 'linear': return velocity / 127;
+        case 'log': return Math.log1p(velocity) / Math.log1p(127); // Soft hits stay audible
+        case 'fixed': return pad.fixedVelocity / 127; // Same level however hard the hit
+        default: return 1;
+    }
+}
+
+function normalizeVelocity(velocity) {
+    return Number.isFinite(velocity) ? Math.max(1, Math.min(127, Math.round(velocity))) : FIXED_VELOCITY_DEFAULT;
+}
 
-    selectPad(index); // Select the triggered pad
-    startPadPlayback(index);
+// Level sent to the player: the pad's volume scaled by its last hit, its envelope and the master bus
+function getPadOutputVolume(pad) {
+    if (!isPadAudible(pad)) return 0;
+    return Math.round(pad.volume * pad.velocityGain * pad.envelopeGain * master.volume / 100);
+}
+
+// Rate sent to the player: the pad's rate times the master multiplier, snapped to a supported rate
+function getPadOutputRate(pad) {
+    const rate = getPadBaseRate(pad) * master.rateMultiplier;
+    if (pad.sourceType === 'file') return Math.max(LOCAL_RATE_MIN, Math.min(LOCAL_RATE_MAX, rate));
+    return snapPlaybackRate(rate);
+}
+
+// Pad rate before the master bus: tempo-synced pads follow the project tempo instead of the pitch knob
+function getPadBaseRate(pad) {
+    if (pad.tempoSync && pad.sourceBpm) return transport.bpm / pad.sourceBpm;
+    return pad.playbackRate;
+}
+
+// Solo wins over mute: while any pad is soloed, only soloed pads are heard
+function isPadAudible(pad) {
+    if (pads.some(p => p.soloed && p.videoId)) return pad.soloed;
+    return !pad.muted;
+}
+
+// Triggers fired by the sequencer or the recorder, as opposed to a performer
+function isAutomatedTrigger(e) {
+    return !!e && (e.type === 'sequencer' || e.type === 'take');
 }
 
 // Playback Release
@@ -426,22 +927,55 @@ function handlePadRelease(index, e) {
     const pad = pads[index];
     if (!pad.player || !pad.videoId) return;
 
+    capturePerformanceEvent('release', index, e);
+
     // Gate mode always stops on release (Gate behavior)
     // Resume behavior is handled by startPadPlayback not seeking to start
     if (pad.mode === 'gate') {
-        pad.player.pauseVideo();
-        pad.isPlaying = false;
-        document.getElementById(`pad-${index}`).classList.remove('playing'); // Sync update
-
-        // Remove from stack
-        activePadStack = activePadStack.filter(i => i !== index);
-        updateZIndices();
-
-        updateTransportIcon();
+        cancelPadLaunch(index); // Let go before the launch point: the hit never sounds
+        releasePadPlayback(index);
     }
     // If oneshot or loop, it continues playing
 }
 
+// Stop after the pad's release fade (or right away without one)
+function releasePadPlayback(index) {
+    const pad = pads[index];
+    const { release } = getEnvelopeTimes(pad);
+    if (!release || !pad.isPlaying) {
+        stopPadPlayback(index);
+        return;
+    }
+    rampPadEnvelope(pad, 'release', 0, release, () => stopPadPlayback(index));
+}
+
+function stopPadPlayback(index) {
+    const pad = pads[index];
+    cancelPadLaunch(index);
+    cancelPadEnvelope(pad);
+    clearPadSeam(pad);
+    if (pad.player && pad.player.pauseVideo) pad.player.pauseVideo();
+    pad.isPlaying = false;
+    document.getElementById(`pad-${index}`).classList.remove('playing'); // Sync update
+
+    // Remove from stack
+    activePadStack = activePadStack.filter(i => i !== index);
+    updateZIndices();
+
+    updateTransportIcon();
+}
+
+// Stop the other playing pads in this pad's choke group (open/closed hi-hat style)
+function chokePadGroup(index) {
+    const group = pads[index].chokeGroup;
+    if (!group) return;
+    pads.forEach((other, otherIndex) => {
+        if (otherIndex !== index && other.chokeGroup === group && other.isPlaying) {
+            stopPadPlayback(otherIndex);
+        }
+    });
+}
+
 // Copy Pad Logic
 function copyPad(sourceIndex, targetIndex) {
     const sourcePad = pads[sourceIndex];
@@ -449,15 +983,10 @@ function copyPad(sourceIndex, targetIndex) {
 
     const targetPad = pads[targetIndex];
 
-    // Copy all relevant state from source to target
+    // Copy all relevant state from source to target (title too, for immediate display)
     targetPad.videoId = sourcePad.videoId;
-    targetPad.startTime = sourcePad.startTime;
-    targetPad.endTime = sourcePad.endTime;
-    targetPad.mode = sourcePad.mode;
-    targetPad.volume = sourcePad.volume;
-    targetPad.playbackRate = sourcePad.playbackRate;
-    targetPad.retrigger = sourcePad.retrigger;
-    targetPad.title = sourcePad.title; // Also copy title for immediate display
+    applySavedState(targetPad, getPadSavedState(sourcePad));
+    targetPad.sliceOf = null; // A copy is its own pad, not part of the source's chop
 
     // Reload target pad with isCopy=true to preserve copied settings
     loadVideoToPad(targetIndex, targetPad.videoId, true);
@@ -467,21 +996,49 @@ function copyPad(sourceIndex, targetIndex) {
 // Delete Pad Logic
 function deletePad(index) {
     const pad = pads[index];
+    finishNudgeEdit(); // Keep the nudge step ahead of the delete in the history
+    cancelPadLaunch(index);
+    dropFromLoadReport(index);
     destroyPlayer(pad); // Destroy the YouTube player instance
 
     // Reset pad state
     pad.videoId = null;
+    pad.sourceType = 'youtube';
+    pad.error = null;
     pad.title = '';
     pad.startTime = 0;
     pad.endTime = 0;
     pad.duration = 0; // Reset duration as well
     pad.volume = 100;
     pad.playbackRate = 1;
+    pad.steps.fill(false);
+    pad.chokeGroup = 0;
+    pad.velocityCurve = 'off';
+    pad.fixedVelocity = FIXED_VELOCITY_DEFAULT;
+    pad.sliceMarkers = [];
+    pad.sliceOf = null;
+    pad.attack = 0;
+    pad.release = 0;
+    pad.muted = false;
+    pad.soloed = false;
+    pad.loopLatency = LOOP_LATENCY_DEFAULT;
+    pad.gapless = false;
+    pad.seamErrors = [];
+    pad.seamLatencies = [];
+    pad.sourceBpm = 0;
+    pad.loopBeats = 0;
+    pad.tempoSync = false;
     pad.isPlaying = false;
 
+    // Slices chopped from this pad become standalone pads
+    pads.forEach(other => {
+        if (other.sliceOf === index) other.sliceOf = null;
+    });
+
     const padEl = document.getElementById(`pad-${index}`);
     padEl.classList.remove('has-video');
     padEl.classList.remove('playing'); // Ensure playing class is removed
+    padEl.classList.remove('player-error');
 
     // Remove from stack and clear z-index
     activePadStack = activePadStack.filter(i => i !== index);
@@ -491,9 +1048,11 @@ function deletePad(index) {
     updateTransportIcon();
 
     // Restore overlay
-    const overlay = padEl.querySelector('.pad-key-overlay');
+    const overlays = padEl.querySelectorAll('.pad-key-overlay, .pad-mix');
     padEl.innerHTML = '';
-    if (overlay) padEl.appendChild(overlay);
+    overlays.forEach(overlay => padEl.appendChild(overlay));
+    updatePadMixButtons(index);
+    applyMasterBus(); // Clearing a solo can bring the other pads back
 
     if (activePadIndex === index) {
         // If the deleted pad was active, update UI to reflect no selection
@@ -503,148 +1062,725 @@ function deletePad(index) {
         updateKnobVisual(valBarVol, 100, 0, 100); // Reset knob visuals
         updateKnobVisual(valBarPitch, 1, 0.25, 2);
         if (pitchText) pitchText.textContent = '1x';
+        updateEnvelopeKnobs(0, 0);
         updateRetriggerToggle(true);
+        updateChokeControl(0);
+        updateVelocityControl('off');
         document.querySelectorAll('.mode-option').forEach(el => el.classList.remove('active'));
 
         // Reset active pad index and update visibility
         activePadIndex = null;
         updateFooterVisibility();
     }
+    updateMidiFeedback();
     updateUrlState(); // Update URL on delete
 }
 
 // ==========================================
-// 5. UI UPDATES & SELECTION
+// ENVELOPES
 // ==========================================
 
-function selectPad(index) {
-    activePadIndex = index;
-    const pad = pads[index];
+// Attack and release in real time, each limited to half the region so short loops still sound
+function getEnvelopeTimes(pad) {
+    const regionMs = (pad.endTime - pad.startTime) / getPadOutputRate(pad) * 1000;
+    const limit = Math.max(0, regionMs / 2);
+    return { attack: Math.min(pad.attack, limit), release: Math.min(pad.release, limit) };
+}
 
-    // Update active class on pads
-    document.querySelectorAll('.pad').forEach(el => el.classList.remove('active'));
-    const padEl = document.getElementById(`pad-${index}`);
-    if (padEl) padEl.classList.add('active');
+// Ramp the envelope gain to target over durationMs; onDone runs once it gets there
+function rampPadEnvelope(pad, phase, target, durationMs, onDone) {
+    cancelPadEnvelope(pad);
+    const from = pad.envelopeGain;
+    const startTime = performance.now();
+    pad.envelopePhase = phase;
+
+    const step = () => {
+        const progress = durationMs > 0 ? Math.min(1, (performance.now() - startTime) / durationMs) : 1;
+        pad.envelopeGain = from + (target - from) * progress;
+        if (pad.player && pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
+        if (progress < 1) return;
+
+        cancelPadEnvelope(pad);
+        if (onDone) onDone();
+    };
+    pad.envelopeTimer = setInterval(step, ENVELOPE_TICK_MS);
+    step();
+}
 
-    // Update Header Display
+function cancelPadEnvelope(pad) {
+    clearInterval(pad.envelopeTimer);
+    pad.envelopeTimer = null;
+    pad.envelopePhase = null;
+}
 
-    updateVideoTitle(pad.title || 'Loading...');
+// Jump a looping pad back to its start
+function restartPadLoop(pad) {
+    jumpPadToStart(pad);
+    pad.player.playVideo();
+    resetPadClock(pad, pad.startTime);
+    restartPadAttack(pad);
+}
 
-    renderModeIcon(pad.mode);
+// Loop seam: fade back in from wherever the release left off
+function restartPadAttack(pad) {
+    const { attack } = getEnvelopeTimes(pad);
+    if (attack) {
+        if (pad.envelopePhase === null && pad.envelopeGain >= 1) pad.envelopeGain = 0;
+        rampPadEnvelope(pad, 'attack', 1, attack);
+    } else if (pad.envelopeGain < 1) {
+        cancelPadEnvelope(pad);
+        pad.envelopeGain = 1;
+        if (pad.player && pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
+    }
+}
 
-    // Update Timeline & Knobs based on selected pad's state
-    updateTimelineUI(index);
-    updateKnobVisual(valBarVol, pad.volume, 0, 100);
-    updateKnobVisual(valBarPitch, pad.playbackRate, 0.25, 2);
-    if (pitchText) pitchText.textContent = pad.playbackRate + 'x';
-    updateRetriggerToggle(pad.retrigger);
+// ==========================================
+// MASTER BUS & MUTE / SOLO
+// ==========================================
 
-    updateFooterVisibility();
-}
+function setupMasterBus() {
+    const volumeInput = document.getElementById('master-volume');
+    const rateSelect = document.getElementById('master-rate');
 
-function renderModeIcon(mode) {
-    // Update active state on options
-    document.querySelectorAll('.mode-option').forEach(el => {
-        if (el.dataset.mode === mode) {
-            el.classList.add('active');
-        } else {
-            el.classList.remove('active');
-        }
+    MASTER_RATES.forEach(rate => {
+        const option = document.createElement('option');
+        option.value = rate;
+        option.textContent = `×${rate}`;
+        rateSelect.appendChild(option);
     });
-}
 
-function updateTimelineUI(index, isDraggingArg = false) {
-    const isDragging = isDraggingArg || timelineContainer.classList.contains('is-dragging');
-    const pad = pads[index];
-    if (!pad.duration) {
-        // Reset UI elements if no video is loaded or duration is zero
-        trimStart.style.left = '0%';
-        trimEnd.style.left = '100%';
-        trimOverlayLeft.style.width = '0%';
-        trimOverlayRight.style.left = '100%';
-        trimOverlayRight.style.width = '0%';
-        playhead.style.left = '0%'; // Reset playhead position
-        startTimeDisplay.textContent = '00:00';
-        endTimeDisplay.textContent = '00:00';
-        return;
-    }
+    volumeInput.addEventListener('input', () => {
+        setMasterBus(parseInt(volumeInput.value, 10), master.rateMultiplier);
+    });
+    volumeInput.addEventListener('change', () => {
+        updateUrlState();
+        volumeInput.blur(); // Hand the keyboard back to the pads
+    });
+    volumeInput.addEventListener('pointerup', () => volumeInput.blur());
+    volumeInput.addEventListener('dblclick', () => {
+        setMasterBus(100, master.rateMultiplier);
+        updateUrlState();
+    });
 
-    const startPercent = (pad.startTime / pad.duration) * 100;
-    const endPercent = (pad.endTime / pad.duration) * 100;
+    rateSelect.addEventListener('change', () => {
+        setMasterBus(master.volume, parseFloat(rateSelect.value));
+        rateSelect.blur(); // Hand the keyboard back to the pads
+        updateUrlState();
+    });
 
-    trimStart.style.left = `${startPercent}%`;
-    trimEnd.style.left = `${endPercent}%`;
+    updateMasterControls();
+}
 
-    trimOverlayLeft.style.width = `${startPercent}%`;
-    trimOverlayRight.style.left = `${endPercent}%`;
-    trimOverlayRight.style.width = `${100 - endPercent}%`;
-
-    // Helper to format time for display
-    const formatTime = (t) => {
-        const m = Math.floor(t / 60).toString().padStart(2, '0');
-        const s = Math.floor(t % 60).toString().padStart(2, '0');
-        if (isDragging) {
-            const ms = Math.floor((t % 1) * 1000).toString().padStart(3, '0');
-            return `${m}:${s}.${ms}`;
-        }
-        return `${m}:${s}`;
-    };
-    startTimeDisplay.textContent = formatTime(pad.startTime);
-    endTimeDisplay.textContent = formatTime(pad.endTime);
+function setMasterBus(volume, rateMultiplier) {
+    master.volume = Number.isFinite(volume) ? Math.max(0, Math.min(100, volume)) : 100;
+    master.rateMultiplier = MASTER_RATES.includes(rateMultiplier) ? rateMultiplier : 1;
+    updateMasterControls();
+    applyMasterBus();
 }
 
-function updateKnobVisual(pathElement, value, min, max) {
-    if (!pathElement) return;
-    // Semi-circle arc length is approx 50 (Pi * 18px radius)
-    const maxLength = 56.5;
-    const percent = Math.max(0, Math.min(1, (value - min) / (max - min)));
-    // Offset calculation: 0 is full, maxLength is empty
-    const offset = maxLength * (1 - percent);
-    pathElement.style.strokeDashoffset = offset;
+function updateMasterControls() {
+    document.getElementById('master-volume').value = master.volume;
+    document.getElementById('master-rate').value = master.rateMultiplier;
 }
 
-function updateTransportIcon() {
-    const anyPlaying = pads.some(p => p.isPlaying);
-    playPauseIcon.innerHTML = anyPlaying ? pauseIconMarkup : playIconMarkup;
+// Push the effective volume and rate of every pad to its player
+function applyMasterBus() {
+    pads.forEach(pad => {
+        if (!pad.player) return;
+        if (pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
+        if (pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
+    });
 }
 
-// Single-player playback; loop by seek for lowest possible gap
-function startPadPlayback(index) {
+function togglePadMix(index, param) {
     const pad = pads[index];
     if (!pad.videoId) return;
+    const edit = beginPadEdit([index]);
+    pad[param] = !pad[param];
+    commitPadEdit(edit);
+    updatePadMixButtons(index);
+    applyMasterBus(); // A solo changes what every other pad sounds like
+    updateUrlState();
+}
 
-    pad.player.setVolume(pad.volume);
-    pad.player.setPlaybackRate(pad.playbackRate);
+function updatePadMixButtons(index) {
+    const padEl = document.getElementById(`pad-${index}`);
+    if (!padEl) return;
+    const pad = pads[index];
+    padEl.querySelectorAll('.pad-mix-btn').forEach(btn => {
+        btn.classList.toggle('active', pad[btn.dataset.param]);
+    });
+    padEl.classList.toggle('muted', pad.muted);
+    padEl.classList.toggle('soloed', pad.soloed);
+}
 
-    // Seek Logic:
-    // If Retrigger is ON: Always seek to Start Time.
-    // If Retrigger is OFF (Resume Mode):
-    //    - If at/past End Time: Seek to Start Time.
-    //    - If not yet started (currentTime < startTime): Seek to Start Time.
-    //    - Else: Do not seek (Resume).
+// ==========================================
+// TEMPO
+// ==========================================
 
-    let shouldSeek = true;
-    if (!pad.retrigger) {
-        // If player has officially ended, we must seek to start
-        if (pad.player.getPlayerState && pad.player.getPlayerState() === 0) { // 0 is ENDED
-            shouldSeek = true;
-        } else {
-            const currentTime = pad.player.getCurrentTime();
-            // Check if we are "in bounds" to resume
-            // We use a larger buffer (0.2s) here than the loop epsilon to avoid 
-            // resuming right at the end just to stop 1 frame later.
-            const resumeThreshold = 0.2;
+function setupTempoControls() {
+    const bpmField = document.getElementById('pad-bpm');
+    const lengthSelect = document.getElementById('pad-loop-length');
 
-            if (currentTime >= pad.startTime && currentTime < pad.endTime - resumeThreshold) {
-                shouldSeek = false;
-            }
-        }
-    }
+    LOOP_LENGTHS.forEach(beats => {
+        const option = document.createElement('option');
+        option.value = beats;
+        option.textContent = formatLoopLength(beats);
+        lengthSelect.appendChild(option);
+    });
 
-    if (shouldSeek) {
-        pad.player.seekTo(pad.startTime, true);
-    }
+    bpmField.addEventListener('change', () => {
+        setPadTempo(activePadIndex, { sourceBpm: parseFloat(bpmField.value) });
+        bpmField.blur(); // Hand the keyboard back to the pads
+    });
+
+    lengthSelect.addEventListener('change', () => {
+        setPadTempo(activePadIndex, { loopBeats: parseInt(lengthSelect.value, 10) });
+        lengthSelect.blur();
+    });
+
+    document.getElementById('btn-tap-tempo').addEventListener('mousedown', (e) => {
+        e.preventDefault(); // Keep focus off the button so the pad keys keep working
+        tapPadTempo();
+    });
+
+    document.getElementById('btn-tempo-sync').addEventListener('click', () => {
+        if (activePadIndex === null) return;
+        setPadTempo(activePadIndex, { tempoSync: !pads[activePadIndex].tempoSync });
+    });
+}
+
+function formatLoopLength(beats) {
+    if (!beats) return 'FREE';
+    if (beats < BEATS_PER_BAR) return `${beats} BEAT${beats === 1 ? '' : 'S'}`;
+    const bars = beats / BEATS_PER_BAR;
+    return `${bars} BAR${bars === 1 ? '' : 'S'}`;
+}
+
+// 0 (untagged) or a tempo in range, to a tenth of a BPM
+function normalizeSourceBpm(bpm) {
+    if (!Number.isFinite(bpm) || bpm <= 0) return 0;
+    return Math.max(SOURCE_BPM_MIN, Math.min(SOURCE_BPM_MAX, Math.round(bpm * 10) / 10));
+}
+
+// Seconds of the clip the loop length covers; 0 while the end point is free or the pad is untagged
+function getLoopLengthSeconds(pad) {
+    return pad.loopBeats && pad.sourceBpm ? pad.loopBeats * 60 / pad.sourceBpm : 0;
+}
+
+// With a loop length the end follows the start, so the start may go anywhere in the clip
+function getMaxStartTime(pad) {
+    return getLoopLengthSeconds(pad) ? pad.duration - LOOP_EPSILON : pad.endTime - LOOP_EPSILON;
+}
+
+// Place the end point the loop length after the start
+function applyLoopLength(pad) {
+    const length = getLoopLengthSeconds(pad);
+    if (length && pad.duration) pad.endTime = Math.min(pad.startTime + length, pad.duration);
+}
+
+// Moving the end point by hand goes back to a free loop length
+function freeLoopLength(pad) {
+    if (!pad.loopBeats) return;
+    pad.loopBeats = 0;
+    if (activePadIndex === pad.id) updateTempoControls();
+}
+
+// Change a pad's BPM tag, loop length or sync as one undo step
+function setPadTempo(index, changes) {
+    if (index === null) return;
+    const pad = pads[index];
+    const edit = beginPadEdit([index]);
+
+    if ('sourceBpm' in changes) pad.sourceBpm = normalizeSourceBpm(changes.sourceBpm);
+    if ('loopBeats' in changes) pad.loopBeats = LOOP_LENGTHS.includes(changes.loopBeats) ? changes.loopBeats : 0;
+    if ('tempoSync' in changes) pad.tempoSync = !!changes.tempoSync;
+    applyLoopLength(pad);
+
+    commitPadEdit(edit);
+    if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
+    if (activePadIndex === index) {
+        updateTimelineUI(index);
+        updatePitchKnob(pad);
+        updateTempoControls();
+    }
+    updateUrlState();
+}
+
+// Each tap sets the selected pad's BPM from the average gap of the recent taps;
+// one run of taps is one undo step
+function tapPadTempo() {
+    if (activePadIndex === null || !pads[activePadIndex].videoId) return;
+    const now = performance.now();
+
+    if (!tapTempo || tapTempo.padIndex !== activePadIndex || now - tapTempo.times[tapTempo.times.length - 1] > TAP_TEMPO_TIMEOUT) {
+        finishTapTempo();
+        tapTempo = { padIndex: activePadIndex, times: [], edit: beginPadEdit([activePadIndex]), timer: null };
+    }
+    const times = tapTempo.times;
+    times.push(now);
+    if (times.length > TAP_TEMPO_TAPS) times.shift();
+
+    document.getElementById('btn-tap-tempo').classList.add('active');
+    clearTimeout(tapTempo.timer);
+    tapTempo.timer = setTimeout(finishTapTempo, TAP_TEMPO_TIMEOUT);
+    if (times.length < 2) return;
+
+    const pad = pads[tapTempo.padIndex];
+    const beatMs = (times[times.length - 1] - times[0]) / (times.length - 1);
+    pad.sourceBpm = normalizeSourceBpm(60000 / beatMs);
+    applyLoopLength(pad);
+    if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
+    updateTimelineUI(pad.id);
+    updatePitchKnob(pad);
+    updateTempoControls();
+}
+
+function finishTapTempo() {
+    if (!tapTempo) return;
+    clearTimeout(tapTempo.timer);
+    commitPadEdit(tapTempo.edit);
+    tapTempo = null;
+    document.getElementById('btn-tap-tempo').classList.remove('active');
+    updateUrlState();
+}
+
+// Project tempo changed: synced pads pick their nearest rate again
+function applyTempoSync() {
+    pads.forEach(pad => {
+        if (!pad.tempoSync || !pad.sourceBpm) return;
+        if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
+    });
+    if (activePadIndex !== null) updatePitchKnob(pads[activePadIndex]);
+}
+
+// The pitch knob shows the rate the pad plays at, which a synced pad takes from the project tempo
+function updatePitchKnob(pad) {
+    const rate = snapPadRate(pad, getPadBaseRate(pad));
+    updateKnobVisual(valBarPitch, rate, 0.25, getPadRateMax(pad));
+    if (pitchText) pitchText.textContent = parseFloat(rate.toFixed(2)) + 'x';
+    knobPitch.classList.toggle('tempo-synced', pad.tempoSync && pad.sourceBpm > 0);
+}
+
+function updateTempoControls() {
+    if (activePadIndex === null) return;
+    const pad = pads[activePadIndex];
+    const bpmField = document.getElementById('pad-bpm');
+    if (document.activeElement !== bpmField) bpmField.value = pad.sourceBpm || '';
+
+    const lengthSelect = document.getElementById('pad-loop-length');
+    lengthSelect.value = pad.loopBeats;
+    lengthSelect.disabled = !pad.sourceBpm; // Beats need a tempo to mean anything
+
+    const syncButton = document.getElementById('btn-tempo-sync');
+    syncButton.classList.toggle('active', pad.tempoSync);
+    syncButton.disabled = !pad.sourceBpm;
+}
+
+// ==========================================
+// UNDO / REDO HISTORY
+// ==========================================
+
+// Capture the given pads before an edit; hand the result to commitPadEdit() once the edit is done
+function beginPadEdit(indices) {
+    return { indices, before: snapshotPads(indices) };
+}
+
+function commitPadEdit(edit) {
+    if (!edit) return;
+    const after = snapshotPads(edit.indices);
+    if (JSON.stringify(after) === JSON.stringify(edit.before)) return; // Nothing changed
+
+    undoStack.push({ before: edit.before, after });
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+}
+
+function snapshotPads(indices) {
+    const snapshot = {};
+    indices.forEach(index => {
+        snapshot[index] = pads[index].videoId ? getPadSavedState(pads[index]) : null;
+    });
+    return snapshot;
+}
+
+function clearUndoHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+}
+
+function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    restorePadSnapshot(entry.before);
+    redoStack.push(entry);
+}
+
+function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    restorePadSnapshot(entry.after);
+    undoStack.push(entry);
+}
+
+function restorePadSnapshot(snapshot) {
+    const indices = applyPadSnapshot(snapshot);
+
+    // Show the restored pad so the change is visible
+    const restoredIndex = indices.find(index => pads[index].videoId);
+    if (restoredIndex !== undefined) selectPad(restoredIndex);
+    updateUrlState();
+}
+
+// Put pads into the given saved states, reusing players that already hold the right video
+function applyPadSnapshot(snapshot) {
+    const indices = Object.keys(snapshot).map(key => parseInt(key, 10));
+
+    indices.forEach(index => {
+        const pad = pads[index];
+        const savedState = snapshot[index];
+
+        if (!savedState) {
+            if (pad.videoId) deletePad(index);
+        } else if (savedState.videoId !== pad.videoId || !pad.player) {
+            // Different (or deleted) clip: bring its player back with the saved trim and settings
+            loadVideoToPad(index, savedState.videoId, false, savedState);
+        } else {
+            applySavedState(pad, savedState);
+            if (pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
+            if (pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
+            updateAltPlayer(index);
+        }
+    });
+    applyMasterBus(); // Restored mute/solo flags affect the other pads too
+    return indices;
+}
+
+// ==========================================
+// 5. UI UPDATES & SELECTION
+// ==========================================
+
+function selectPad(index) {
+    if (nudgeEdit && nudgeEdit.padIndex !== index) finishNudgeEdit();
+    activePadIndex = index;
+    const pad = pads[index];
+
+    // Update active class on pads
+    document.querySelectorAll('.pad').forEach(el => el.classList.remove('active'));
+    const padEl = document.getElementById(`pad-${index}`);
+    if (padEl) padEl.classList.add('active');
+
+    // Update Header Display
+
+    const title = pad.title || 'Loading...';
+    updateVideoTitle(pad.sliceOf !== null ? `${title} (slice of ${getPadLabel(pad.sliceOf)})` : title);
+
+    renderModeIcon(pad.mode);
+
+    // Update Timeline & Knobs based on selected pad's state
+    updateTimelineUI(index);
+    updateKnobVisual(valBarVol, pad.volume, 0, 100);
+    updatePitchKnob(pad);
+    updateEnvelopeKnobs(pad.attack, pad.release);
+    updateTempoControls();
+    updateSeamControls();
+    updateRetriggerToggle(pad.retrigger);
+    updateGaplessToggle(pad.gapless);
+    updateChokeControl(pad.chokeGroup);
+    updateVelocityControl(pad.velocityCurve);
+    updateStepButtons();
+    updateMidiFeedback();
+
+    updateFooterVisibility();
+}
+
+function renderModeIcon(mode) {
+    // Update active state on options
+    document.querySelectorAll('.mode-option').forEach(el => {
+        if (el.dataset.mode === mode) {
+            el.classList.add('active');
+        } else {
+            el.classList.remove('active');
+        }
+    });
+}
+
+function updateTimelineUI(index, isDraggingArg = false) {
+    const isDragging = isDraggingArg || timelineContainer.classList.contains('is-dragging');
+    const pad = pads[index];
+    if (!pad.duration) {
+        // Reset UI elements if no video is loaded or duration is zero
+        trimStart.style.left = '0%';
+        trimEnd.style.left = '100%';
+        trimOverlayLeft.style.width = '0%';
+        trimOverlayRight.style.left = '100%';
+        trimOverlayRight.style.width = '0%';
+        playhead.style.left = '0%'; // Reset playhead position
+        startTimeDisplay.textContent = '00:00';
+        endTimeDisplay.textContent = '00:00';
+        trimStart.style.visibility = '';
+        trimEnd.style.visibility = '';
+        renderSliceMarkers(pad);
+        updateTimelineScrollbar(pad);
+        return;
+    }
+
+    const startPercent = timeToPercent(pad, pad.startTime);
+    const endPercent = timeToPercent(pad, pad.endTime);
+
+    trimStart.style.left = `${startPercent}%`;
+    trimEnd.style.left = `${endPercent}%`;
+    // Zoomed in, a trim point can be scrolled out of view
+    trimStart.style.visibility = (startPercent < 0 || startPercent > 100) ? 'hidden' : '';
+    trimEnd.style.visibility = (endPercent < 0 || endPercent > 100) ? 'hidden' : '';
+    trimStart.classList.toggle('nudge-target', nudgeTarget === 'start');
+    trimEnd.classList.toggle('nudge-target', nudgeTarget === 'end');
+
+    const clampPercent = (percent) => Math.max(0, Math.min(100, percent));
+    trimOverlayLeft.style.width = `${clampPercent(startPercent)}%`;
+    trimOverlayRight.style.left = `${clampPercent(endPercent)}%`;
+    trimOverlayRight.style.width = `${100 - clampPercent(endPercent)}%`;
+
+    // Milliseconds matter while dragging or zoomed in
+    const showMs = isDragging || timelineView.duration < pad.duration;
+    startTimeDisplay.textContent = formatTimestamp(pad.startTime, showMs);
+    endTimeDisplay.textContent = formatTimestamp(pad.endTime, showMs);
+    renderSliceMarkers(pad);
+    updateTimelineScrollbar(pad);
+}
+
+function formatTimestamp(t, showMs) {
+    const m = Math.floor(t / 60).toString().padStart(2, '0');
+    const s = Math.floor(t % 60).toString().padStart(2, '0');
+    if (showMs) {
+        const ms = Math.floor((t % 1) * 1000).toString().padStart(3, '0');
+        return `${m}:${s}.${ms}`;
+    }
+    return `${m}:${s}`;
+}
+
+// Accepts "ss", "mm:ss" or "h:mm:ss", each with optional decimals; null if unreadable
+function parseTimestamp(text) {
+    const parts = text.trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d*)?$/.test(part))) return null;
+    return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// The visible span follows the selected pad; a new pad (or new video) starts fully zoomed out
+function getTimelineView(pad) {
+    if (timelineView.padIndex !== pad.id || !timelineView.duration || timelineView.duration > pad.duration) {
+        timelineView.padIndex = pad.id;
+        timelineView.start = 0;
+        timelineView.duration = pad.duration;
+    }
+    return timelineView;
+}
+
+function timeToPercent(pad, time) {
+    const view = getTimelineView(pad);
+    return view.duration ? ((time - view.start) / view.duration) * 100 : 0;
+}
+
+function clientXToTime(pad, clientX) {
+    const rect = timelineContainer.getBoundingClientRect();
+    const view = getTimelineView(pad);
+    if (!rect.width) return view.start;
+    return view.start + ((clientX - rect.left) / rect.width) * view.duration;
+}
+
+// Zoom by a factor (< 1 zooms in), keeping the time under clientX in place
+function zoomTimeline(pad, factor, clientX) {
+    const view = getTimelineView(pad);
+    const anchor = clientXToTime(pad, clientX);
+    const anchorRatio = view.duration ? (anchor - view.start) / view.duration : 0;
+    const minView = Math.min(TIMELINE_MIN_VIEW, pad.duration);
+    view.duration = Math.max(minView, Math.min(pad.duration, view.duration * factor));
+    view.start = anchor - anchorRatio * view.duration;
+    scrollTimeline(pad, 0);
+}
+
+function scrollTimeline(pad, delta) {
+    const view = getTimelineView(pad);
+    view.start = Math.max(0, Math.min(pad.duration - view.duration, view.start + delta));
+    updateTimelineUI(pad.id);
+}
+
+// Pan just enough to bring a time into view
+function revealTimelineTime(pad, time) {
+    const view = getTimelineView(pad);
+    if (time < view.start) scrollTimeline(pad, time - view.start);
+    else if (time > view.start + view.duration) scrollTimeline(pad, time - view.start - view.duration);
+}
+
+function updateTimelineScrollbar(pad) {
+    const scrollbar = document.getElementById('timeline-scrollbar');
+    const isZoomed = pad.duration > 0 && getTimelineView(pad).duration < pad.duration;
+    scrollbar.classList.toggle('visible', isZoomed);
+    if (!isZoomed) return;
+    const thumb = document.getElementById('timeline-scroll-thumb');
+    thumb.style.left = `${(timelineView.start / pad.duration) * 100}%`;
+    thumb.style.width = `${(timelineView.duration / pad.duration) * 100}%`;
+}
+
+let nudgeEdit = null; // { edit, padIndex }: open undo snapshot while arrow keys keep nudging
+let nudgeEditTimer = null;
+
+// Left/Right move the trim point a frame (Shift: 10 frames, Alt: 1 ms); Up/Down pick start or end
+function handleNudgeKey(e) {
+    const pad = pads[activePadIndex];
+    if (!pad.duration) return;
+
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        nudgeTarget = e.key === 'ArrowUp' ? 'start' : 'end';
+        updateTimelineUI(activePadIndex);
+        return;
+    }
+
+    let step = NUDGE_FRAME;
+    if (e.altKey) step = 0.001;
+    else if (e.shiftKey) step = NUDGE_FRAME * 10;
+    const delta = e.key === 'ArrowLeft' ? -step : step;
+
+    if (nudgeEdit && nudgeEdit.padIndex !== activePadIndex) finishNudgeEdit();
+    if (!nudgeEdit) nudgeEdit = { edit: beginPadEdit([activePadIndex]), padIndex: activePadIndex };
+    if (nudgeTarget === 'start') {
+        pad.startTime = Math.max(0, Math.min(pad.startTime + delta, getMaxStartTime(pad)));
+        applyLoopLength(pad);
+    } else {
+        pad.endTime = Math.max(pad.startTime + LOOP_EPSILON, Math.min(pad.endTime + delta, pad.duration));
+        freeLoopLength(pad);
+    }
+    revealTimelineTime(pad, nudgeTarget === 'start' ? pad.startTime : pad.endTime);
+    updateTimelineUI(activePadIndex, true);
+
+    clearTimeout(nudgeEditTimer);
+    nudgeEditTimer = setTimeout(finishNudgeEdit, NUDGE_SETTLE_MS);
+}
+
+// Close the nudge undo step; also called before the pad is deleted or deselected
+function finishNudgeEdit() {
+    if (!nudgeEdit) return;
+    clearTimeout(nudgeEditTimer);
+    const { edit, padIndex } = nudgeEdit;
+    nudgeEdit = null;
+    commitPadEdit(edit);
+    if (padIndex === activePadIndex) updateTimelineUI(padIndex);
+    updateUrlState();
+}
+
+// Swap a time display for a text field to type an exact timestamp
+function openTimeEntry(which) {
+    if (activePadIndex === null) return;
+    const pad = pads[activePadIndex];
+    if (!pad.duration) return;
+
+    const display = which === 'start' ? startTimeDisplay : endTimeDisplay;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.classList.add('trim-time-input');
+    input.value = formatTimestamp(which === 'start' ? pad.startTime : pad.endTime, true);
+    display.style.display = 'none';
+    display.after(input);
+    input.addEventListener('mousedown', (e) => e.stopPropagation()); // Not a handle drag
+    input.focus();
+    input.select();
+
+    let closed = false;
+    const close = (apply) => {
+        if (closed) return;
+        closed = true;
+        const time = apply ? parseTimestamp(input.value) : null;
+        input.remove();
+        display.style.display = '';
+
+        if (time !== null) {
+            const edit = beginPadEdit([pad.id]);
+            if (which === 'start') {
+                pad.startTime = Math.max(0, Math.min(time, getMaxStartTime(pad)));
+                applyLoopLength(pad);
+            } else {
+                pad.endTime = Math.max(pad.startTime + LOOP_EPSILON, Math.min(time, pad.duration));
+                freeLoopLength(pad);
+            }
+            commitPadEdit(edit);
+            updateUrlState();
+        }
+        nudgeTarget = which;
+        if (activePadIndex === pad.id) {
+            if (time !== null) revealTimelineTime(pad, which === 'start' ? pad.startTime : pad.endTime);
+            updateTimelineUI(pad.id);
+        }
+    };
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') close(true);
+        else if (e.key === 'Escape') close(false);
+    });
+    input.addEventListener('blur', () => close(true));
+}
+
+function updateKnobVisual(pathElement, value, min, max) {
+    if (!pathElement) return;
+    // Semi-circle arc length is approx 50 (Pi * 18px radius)
+    const maxLength = 56.5;
+    const percent = Math.max(0, Math.min(1, (value - min) / (max - min)));
+    // Offset calculation: 0 is full, maxLength is empty
+    const offset = maxLength * (1 - percent);
+    pathElement.style.strokeDashoffset = offset;
+}
+
+function updateTransportIcon() {
+    const anyPlaying = pads.some(p => p.isPlaying) || transport.isRunning || recorder.isPlaying;
+    playPauseIcon.innerHTML = anyPlaying ? pauseIconMarkup : playIconMarkup;
+    updateBankIndicators(); // Playing state changed, so refresh the bank activity dots
+    updateMidiFeedback();
+}
+
+// Single-player playback; loop by seek for lowest possible gap
+function startPadPlayback(index) {
+    const pad = pads[index];
+    if (!pad.videoId) return;
+
+    chokePadGroup(index);
+
+    // Every start opens the envelope again (from silence when there is an attack)
+    cancelPadEnvelope(pad);
+    const { attack } = getEnvelopeTimes(pad);
+    pad.envelopeGain = attack ? 0 : 1;
+    pad.player.setVolume(getPadOutputVolume(pad));
+    if (attack) rampPadEnvelope(pad, 'attack', 1, attack);
+    pad.player.setPlaybackRate(getPadOutputRate(pad));
+
+    // Seek Logic:
+    // If Retrigger is ON: Always seek to Start Time.
+    // If Retrigger is OFF (Resume Mode):
+    //    - If at/past End Time: Seek to Start Time.
+    //    - If not yet started (currentTime < startTime): Seek to Start Time.
+    //    - Else: Do not seek (Resume).
+
+    let shouldSeek = true;
+    if (!pad.retrigger) {
+        // If player has officially ended, we must seek to start
+        if (pad.player.getPlayerState && pad.player.getPlayerState() === 0) { // 0 is ENDED
+            shouldSeek = true;
+        } else {
+            const currentTime = pad.player.getCurrentTime();
+            // Check if we are "in bounds" to resume
+            // We use a larger buffer (0.2s) here than the loop epsilon to avoid 
+            // resuming right at the end just to stop 1 frame later.
+            const resumeThreshold = 0.2;
+
+            if (currentTime >= pad.startTime && currentTime < pad.endTime - resumeThreshold) {
+                shouldSeek = false;
+            }
+        }
+    }
+
+    if (shouldSeek) {
+        jumpPadToStart(pad);
+    }
     pad.player.playVideo();
+    pad.seamCheck = null;
+    resetPadClock(pad, shouldSeek ? pad.startTime : pad.player.getCurrentTime());
 
     // Immediately mark the pad as playing so it stays visible in full-screen mode
     // (YouTube can auto-pause if the iframe is hidden while we wait for the PLAYING event)
@@ -666,16 +1802,19 @@ function updateFooterVisibility() {
     const footerControls = document.querySelector('.footer-controls');
     const footerTrash = document.querySelector('.footer-trash');
     const footerRow2 = document.querySelector('.footer-row-2');
+    const seqSteps = document.getElementById('seq-steps');
     const videoTitle = document.getElementById('video-title');
 
     if (hasActivePad) {
         footerControls.classList.remove('hidden-control');
         footerTrash.classList.remove('hidden-control');
         footerRow2.classList.remove('hidden-control');
+        seqSteps.classList.remove('hidden-control');
     } else {
         footerControls.classList.add('hidden-control');
         footerTrash.classList.add('hidden-control');
         footerRow2.classList.add('hidden-control');
+        seqSteps.classList.add('hidden-control');
         if (videoTitle) videoTitle.textContent = 'Select a pad to load video';
     }
 }
@@ -689,6 +1828,7 @@ function setupModeControl() {
     modeControlLcd.addEventListener('click', (e) => {
         if (activePadIndex === null) return;
         const pad = pads[activePadIndex];
+        const edit = beginPadEdit([activePadIndex]);
 
         // Check if a specific mode option was clicked
         const option = e.target.closest('.mode-option');
@@ -702,6 +1842,7 @@ function setupModeControl() {
         }
 
         renderModeIcon(pad.mode);
+        commitPadEdit(edit);
         updateUrlState(); // Update URL on mode change
     });
 }
@@ -711,12 +1852,31 @@ function setupRetriggerControl() {
     controlRetrigger.addEventListener('click', () => {
         if (activePadIndex === null) return;
         const pad = pads[activePadIndex];
+        const edit = beginPadEdit([activePadIndex]);
         pad.retrigger = !pad.retrigger;
         updateRetriggerToggle(pad.retrigger);
+        commitPadEdit(edit);
+        updateUrlState();
+    });
+}
+
+function setupGaplessControl() {
+    document.getElementById('control-gapless').addEventListener('click', () => {
+        if (activePadIndex === null) return;
+        const pad = pads[activePadIndex];
+        const edit = beginPadEdit([activePadIndex]);
+        pad.gapless = !pad.gapless;
+        commitPadEdit(edit);
+        updateGaplessToggle(pad.gapless);
+        updateAltPlayer(activePadIndex);
         updateUrlState();
     });
 }
 
+function updateGaplessToggle(active) {
+    document.getElementById('control-gapless').classList.toggle('active', active);
+}
+
 function updateRetriggerToggle(active) {
     if (active) {
         controlRetrigger.classList.add('active');
@@ -725,20 +1885,76 @@ function updateRetriggerToggle(active) {
     }
 }
 
+// Choke Group Control
+function setupChokeControl() {
+    setupCycleControl(document.getElementById('control-choke'), 'chokeGroup', CHOKE_GROUPS, updateChokeControl);
+}
+
+function updateChokeControl(group) {
+    document.getElementById('choke-value').textContent = group ? group : 'OFF';
+    document.getElementById('control-choke').classList.toggle('active', !!group);
+}
+
+function setupVelocityControl() {
+    setupCycleControl(document.getElementById('control-velocity'), 'velocityCurve', VELOCITY_CURVES, updateVelocityControl);
+
+    const levelField = document.getElementById('pad-fixed-velocity');
+    levelField.addEventListener('change', () => {
+        if (activePadIndex !== null) {
+            const edit = beginPadEdit([activePadIndex]);
+            pads[activePadIndex].fixedVelocity = normalizeVelocity(parseFloat(levelField.value));
+            commitPadEdit(edit);
+            updateVelocityControl(pads[activePadIndex].velocityCurve);
+            updateUrlState();
+        }
+        levelField.blur(); // Hand the keyboard back to the pads
+    });
+}
+
+// The level field only matters, and only shows, with the 'fixed' curve
+function updateVelocityControl(curve) {
+    const labels = { off: 'OFF', linear: 'LIN', log: 'LOG', fixed: 'FIX' };
+    document.getElementById('velocity-value').textContent = labels[curve];
+    document.getElementById('control-velocity').classList.toggle('active', curve !== 'off');
+
+    const levelField = document.getElementById('pad-fixed-velocity');
+    levelField.hidden = curve !== 'fixed';
+    if (activePadIndex !== null) levelField.value = pads[activePadIndex].fixedVelocity;
+}
+
+// Click steps a pad setting forward through its values, Shift+click steps back
+function setupCycleControl(element, param, values, render) {
+    element.addEventListener('click', (e) => {
+        if (activePadIndex === null) return;
+        const pad = pads[activePadIndex];
+        const edit = beginPadEdit([activePadIndex]);
+
+        const current = Math.max(0, values.indexOf(pad[param]));
+        const direction = e.shiftKey ? -1 : 1;
+        pad[param] = values[(current + direction + values.length) % values.length];
+
+        render(pad[param]);
+        commitPadEdit(edit);
+        updateUrlState();
+    });
+}
+
 // Knobs
 function setupKnobs() {
-    // Generic knob setup function
+    // Generic knob setup function (max may be a function of the active pad)
     function setupKnob(element, param, min, max, step, onChange, onReset, onClick) {
         let isDragging = false;
         let hasDragged = false; // Track if actual dragging (mouse movement) occurred
         let startY = 0;
         let startValue = 0;
+        let edit = null; // Undo snapshot taken when the gesture starts
 
         element.addEventListener('mousedown', (e) => {
             isDragging = true;
             hasDragged = false; // Reset drag flag on new mousedown
             startY = e.clientY;
             if (activePadIndex === null) return;
+            edit = beginPadEdit([activePadIndex]);
             startValue = pads[activePadIndex][param]; // Get current value from active pad
             document.body.style.cursor = 'ns-resize'; // Change cursor for dragging
             e.preventDefault();
@@ -755,9 +1971,10 @@ function setupKnobs() {
                 hasDragged = true;
             }
 
-            const sensitivity = (max - min) / 200; // 200px drag for full range
+            const top = typeof max === 'function' ? max(pads[activePadIndex]) : max;
+            const sensitivity = (top - min) / 200; // 200px drag for full range
             let newValue = startValue + (deltaY * sensitivity);
-            newValue = Math.max(min, Math.min(max, newValue)); // Clamp value
+            newValue = Math.max(min, Math.min(top, newValue)); // Clamp value
 
             onChange(newValue); // Call specific change handler
         });
@@ -770,6 +1987,8 @@ function setupKnobs() {
                 } else if (hasDragged) {
                     updateUrlState(); // Update URL on drag end (only if dragged)
                 }
+                commitPadEdit(edit);
+                edit = null;
                 isDragging = false;
                 hasDragged = false;
                 document.body.style.cursor = 'default'; // Reset cursor
@@ -779,7 +1998,9 @@ function setupKnobs() {
         // Double click to reset knob value
         element.addEventListener('dblclick', () => {
             if (activePadIndex === null) return;
+            const resetEdit = beginPadEdit([activePadIndex]);
             onReset();
+            commitPadEdit(resetEdit);
             updateUrlState(); // Update URL on reset
         });
     }
@@ -792,14 +2013,14 @@ function setupKnobs() {
         const pad = pads[activePadIndex];
         pad.volume = Math.round(val); // Volume is integer
         updateKnobVisual(valBarVol, pad.volume, 0, 100);
-        if (pad.player && pad.player.setVolume) pad.player.setVolume(pad.volume);
+        if (pad.player && pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
     }, () => {
         // Reset Volume
         if (activePadIndex === null) return;
         const pad = pads[activePadIndex];
         pad.volume = 100;
         updateKnobVisual(valBarVol, pad.volume, 0, 100);
-        if (pad.player && pad.player.setVolume) pad.player.setVolume(100);
+        if (pad.player && pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
     }, (hasDragged) => {
         // Click handler (only called if no drag occurred)
         if (hasDragged) return;
@@ -817,40 +2038,81 @@ function setupKnobs() {
         }
 
         updateKnobVisual(valBarVol, pad.volume, 0, 100);
-        if (pad.player && pad.player.setVolume) pad.player.setVolume(pad.volume);
+        if (pad.player && pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
         updateUrlState();
     });
 
     // Pitch Knob specific setup
-    const availableRates = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2]; // YouTube supported rates
-    setupKnob(knobPitch, 'playbackRate', 0.25, 2, null, (val) => {
+    setupKnob(knobPitch, 'playbackRate', 0.25, getPadRateMax, null, (val) => {
         if (activePadIndex === null) return;
         const pad = pads[activePadIndex];
-        // Snap to nearest available rate for YouTube player
-        const nearest = availableRates.reduce((prev, curr) => {
-            return (Math.abs(curr - val) < Math.abs(prev - val) ? curr : prev);
-        });
-        pad.playbackRate = nearest;
-        updateKnobVisual(valBarPitch, pad.playbackRate, 0.25, 2);
-        if (pitchText) pitchText.textContent = pad.playbackRate + 'x';
-        if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(pad.playbackRate);
+        pad.playbackRate = snapPadRate(pad, val);
+        pad.tempoSync = false; // Turning the knob takes the rate back from the project tempo
+        updatePitchKnob(pad);
+        updateTempoControls();
+        if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
     }, () => {
         // Reset Pitch
         if (activePadIndex === null) return;
         const pad = pads[activePadIndex];
         pad.playbackRate = 1;
-        updateKnobVisual(valBarPitch, pad.playbackRate, 0.25, 2);
-        if (pitchText) pitchText.textContent = '1x';
-        if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(1);
+        pad.tempoSync = false;
+        updatePitchKnob(pad);
+        updateTempoControls();
+        if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
+    });
+
+    // Envelope knobs
+    [[knobAttack, 'attack'], [knobRelease, 'release']].forEach(([knob, param]) => {
+        setupKnob(knob, param, 0, ENVELOPE_MAX_MS, null, (val) => {
+            if (activePadIndex === null) return;
+            const pad = pads[activePadIndex];
+            pad[param] = Math.round(val / 10) * 10;
+            updateEnvelopeKnobs(pad.attack, pad.release);
+        }, () => {
+            // Reset to a hard cut
+            if (activePadIndex === null) return;
+            const pad = pads[activePadIndex];
+            pad[param] = 0;
+            updateEnvelopeKnobs(pad.attack, pad.release);
+        });
     });
 }
 
-// Timeline Trimming Events
+function updateEnvelopeKnobs(attack, release) {
+    const format = (ms) => ms < 1000 ? `${ms}` : `${(ms / 1000).toFixed(1)}s`;
+    updateKnobVisual(document.getElementById('attack-path'), attack, 0, ENVELOPE_MAX_MS);
+    updateKnobVisual(document.getElementById('release-path'), release, 0, ENVELOPE_MAX_MS);
+    document.getElementById('attack-text').textContent = format(attack);
+    document.getElementById('release-text').textContent = format(release);
+}
+
+// Snap to nearest available rate for YouTube player
+function snapPlaybackRate(value) {
+    return PLAYBACK_RATES.reduce((prev, curr) => {
+        return (Math.abs(curr - value) < Math.abs(prev - value) ? curr : prev);
+    });
+}
+
+// Top of the pitch knob and its MIDI CC
+function getPadRateMax(pad) {
+    return pad.sourceType === 'file' ? LOCAL_RATE_MAX : PLAYBACK_RATES[PLAYBACK_RATES.length - 1];
+}
+
+// Local files aren't held to YouTube's steps, only to hundredths
+function snapPadRate(pad, value) {
+    return pad.sourceType === 'file' ? Math.round(value * 100) / 100 : snapPlaybackRate(value);
+}
+
+// Timeline Trimming Events
 function setupTimelineEvents() {
     let mode = null; // 'start', 'end', 'range'
     let startX = 0;
     let startY = 0;
     let lastX = 0;
+    let hasMoved = false; // A handle press without movement is a click on its time display
+    let edit = null; // Undo snapshot taken when the drag starts
+    let pinchDistance = 0; // Two-finger zoom
 
     const getSensitivity = (currentY) => {
         const verticalDist = Math.abs(currentY - startY);
@@ -868,6 +2130,9 @@ function setupTimelineEvents() {
         if (!pad || !pad.duration) return;
 
         mode = m;
+        hasMoved = false;
+        if (m !== 'range') nudgeTarget = m;
+        edit = beginPadEdit([activePadIndex]);
         // Support both mouse and touch
         const clientX = e.clientX || (e.touches ? e.touches[0].clientX : 0);
         const clientY = e.clientY || (e.touches ? e.touches[0].clientY : 0);
@@ -897,26 +2162,28 @@ function setupTimelineEvents() {
         const clientY = e.clientY || (e.touches ? e.touches[0].clientY : 0);
 
         const rect = timelineContainer.getBoundingClientRect();
-        const duration = pad.duration;
         const width = rect.width;
         if (width === 0) return;
 
         const sensitivity = getSensitivity(clientY);
         const deltaX = clientX - lastX;
         lastX = clientX; // Update for next frame
+        if (deltaX !== 0) hasMoved = true;
 
         // Calculate time delta logic
-        // default: deltaX pixels maps to (deltaX / width) * duration
-        const timeDelta = (deltaX / width) * duration * sensitivity;
+        // default: deltaX pixels maps to (deltaX / width) of the visible span
+        const timeDelta = (deltaX / width) * getTimelineView(pad).duration * sensitivity;
 
         if (mode === 'start') {
             let newStart = pad.startTime + timeDelta;
-            newStart = Math.max(0, Math.min(newStart, pad.endTime - LOOP_EPSILON));
+            newStart = Math.max(0, Math.min(newStart, getMaxStartTime(pad)));
             pad.startTime = newStart;
+            applyLoopLength(pad);
         } else if (mode === 'end') {
             let newEnd = pad.endTime + timeDelta;
             newEnd = Math.max(pad.startTime + LOOP_EPSILON, Math.min(newEnd, pad.duration));
             pad.endTime = newEnd;
+            freeLoopLength(pad);
         } else if (mode === 'range') {
             let newStart = pad.startTime + timeDelta;
             let newEnd = pad.endTime + timeDelta;
@@ -944,6 +2211,8 @@ function setupTimelineEvents() {
 
     const handleEnd = () => {
         if (mode) {
+            commitPadEdit(edit);
+            edit = null;
             updateUrlState(); // Persist changes
             trimStart.classList.remove('dragging');
             trimEnd.classList.remove('dragging');
@@ -969,9 +2238,7 @@ function setupTimelineEvents() {
         const pad = pads[activePadIndex];
         if (!pad || !pad.duration) return;
 
-        const rect = timelineContainer.getBoundingClientRect();
-        const offsetX = e.clientX - rect.left;
-        const clickTime = (offsetX / rect.width) * pad.duration;
+        const clickTime = clientXToTime(pad, e.clientX);
 
         if (clickTime > pad.startTime && clickTime < pad.endTime) {
             handleStart(e, 'range');
@@ -984,16 +2251,90 @@ function setupTimelineEvents() {
         const pad = pads[activePadIndex];
         if (!pad || !pad.duration) return;
 
-        const rect = timelineContainer.getBoundingClientRect();
-        const clientX = e.touches[0].clientX;
-        const offsetX = clientX - rect.left;
-        const clickTime = (offsetX / rect.width) * pad.duration;
+        // A second finger turns the gesture into a pinch zoom
+        if (e.touches.length === 2) {
+            handleEnd();
+            pinchDistance = Math.abs(e.touches[0].clientX - e.touches[1].clientX);
+            e.preventDefault();
+            return;
+        }
+
+        const clickTime = clientXToTime(pad, e.touches[0].clientX);
 
         if (clickTime > pad.startTime && clickTime < pad.endTime) {
             handleStart(e, 'range');
         }
     });
 
+    timelineContainer.addEventListener('touchmove', (e) => {
+        if (e.touches.length !== 2 || !pinchDistance || activePadIndex === null) return;
+        const distance = Math.abs(e.touches[0].clientX - e.touches[1].clientX);
+        if (!distance) return;
+        const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+        zoomTimeline(pads[activePadIndex], pinchDistance / distance, centerX);
+        pinchDistance = distance;
+        e.preventDefault();
+    }, { passive: false });
+
+    timelineContainer.addEventListener('touchend', (e) => {
+        if (e.touches.length < 2) pinchDistance = 0;
+    });
+
+    // Wheel (and trackpad pinch, which arrives as Ctrl+wheel) zooms around the cursor;
+    // horizontal or Shift+wheel scrolls
+    timelineContainer.addEventListener('wheel', (e) => {
+        if (activePadIndex === null || !pads[activePadIndex].duration) return;
+        const pad = pads[activePadIndex];
+        e.preventDefault();
+
+        const horizontal = e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY);
+        if (horizontal) {
+            const delta = e.shiftKey && !e.deltaX ? e.deltaY : e.deltaX;
+            const rect = timelineContainer.getBoundingClientRect();
+            if (rect.width) scrollTimeline(pad, (delta / rect.width) * getTimelineView(pad).duration);
+        } else {
+            zoomTimeline(pad, Math.exp(e.deltaY * (e.ctrlKey ? 0.01 : 0.002)), e.clientX);
+        }
+    }, { passive: false });
+
+    // Clicking a time display (without dragging its handle) types an exact time
+    [['start', startTimeDisplay], ['end', endTimeDisplay]].forEach(([which, display]) => {
+        display.addEventListener('click', (e) => {
+            if (hasMoved) return;
+            e.stopPropagation();
+            openTimeEntry(which);
+        });
+    });
+
+    // Dragging the scrollbar thumb pans the zoomed view
+    const scrollThumb = document.getElementById('timeline-scroll-thumb');
+    let scrollLastX = null;
+    scrollThumb.addEventListener('mousedown', (e) => {
+        scrollLastX = e.clientX;
+        e.stopPropagation();
+        e.preventDefault();
+    });
+    document.addEventListener('mousemove', (e) => {
+        if (scrollLastX === null || activePadIndex === null) return;
+        const pad = pads[activePadIndex];
+        const rect = timelineContainer.getBoundingClientRect();
+        if (rect.width) scrollTimeline(pad, ((e.clientX - scrollLastX) / rect.width) * pad.duration);
+        scrollLastX = e.clientX;
+    });
+    document.addEventListener('mouseup', () => {
+        scrollLastX = null;
+    });
+
+
+    // Double-click drops a chop marker inside the trim range
+    timelineContainer.addEventListener('dblclick', (e) => {
+        if (activePadIndex === null) return;
+        const pad = pads[activePadIndex];
+        if (!pad || !pad.duration) return;
+
+        if (e.target.closest('.trim-handle')) return; // Time displays take clicks for typing
+        addSliceMarker(activePadIndex, clientXToTime(pad, e.clientX));
+    });
 
     // Global Movement
     document.addEventListener('mousemove', handleMove);
@@ -1102,6 +2443,359 @@ function renderSuggestedVideos() {
     });
 }
 
+// ==========================================
+// PROJECT LIBRARY (IndexedDB)
+// ==========================================
+
+const PROJECT_DB_NAME = 'yousampler';
+const PROJECT_STORE = 'projects';
+let projectDbPromise = null;
+
+function openProjectDb() {
+    if (!projectDbPromise) {
+        projectDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(PROJECT_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(PROJECT_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return projectDbPromise;
+}
+
+// Run a single request against the project store and resolve once its transaction commits
+async function projectStoreRequest(mode, makeRequest) {
+    const db = await openProjectDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(PROJECT_STORE, mode);
+        const request = makeRequest(transaction.objectStore(PROJECT_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function listProjects() {
+    const projects = await projectStoreRequest('readonly', store => store.getAll());
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function saveProject(name, id = null) {
+    const now = Date.now();
+    const existing = id !== null ? await projectStoreRequest('readonly', store => store.get(id)) : null;
+    const project = {
+        name: name || (existing && existing.name) || 'Untitled kit',
+        state: await serializeState(),
+        // Thumbnails come from the first few distinct videos in the kit
+        videoIds: [...new Set(pads.filter(isPadShareable).map(p => p.videoId))].slice(0, 4),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+    if (existing) project.id = existing.id;
+    currentProjectId = await projectStoreRequest('readwrite', store => store.put(project));
+    return currentProjectId;
+}
+
+async function renameProject(id, name) {
+    const project = await projectStoreRequest('readonly', store => store.get(id));
+    if (!project) return;
+    project.name = name;
+    project.updatedAt = Date.now();
+    await projectStoreRequest('readwrite', store => store.put(project));
+}
+
+async function duplicateProject(id) {
+    const project = await projectStoreRequest('readonly', store => store.get(id));
+    if (!project) return;
+    const now = Date.now();
+    const copy = { ...project, name: `${project.name} copy`, createdAt: now, updatedAt: now };
+    delete copy.id;
+    await projectStoreRequest('readwrite', store => store.add(copy));
+}
+
+async function deleteProject(id) {
+    await projectStoreRequest('readwrite', store => store.delete(id));
+    if (currentProjectId === id) currentProjectId = null;
+}
+
+async function loadProject(id) {
+    const project = await projectStoreRequest('readonly', store => store.get(id));
+    if (!project) return;
+    const state = await deserializeState(project.state);
+    if (!state) {
+        alert('This project could not be read.');
+        return;
+    }
+
+    applyKitState(state);
+    currentProjectId = project.id;
+}
+
+// Replace the current kit, going through the same path as a shared link
+function applyKitState(state) {
+    clearAllPads();
+    clearUndoHistory(); // History from the previous kit doesn't apply to this one
+    currentProjectId = null;
+    pendingUrlState = state;
+    stateApplied = false;
+    tryApplyUrlState();
+    if (stateApplied) updateUrlState();
+}
+
+// Stop and empty every pad before a different kit is loaded
+function clearAllPads() {
+    stopAllPads();
+    pads.forEach((pad, index) => {
+        if (pad.videoId) deletePad(index);
+    });
+}
+
+function setupProjectLibrary() {
+    const projectModal = document.getElementById('project-modal');
+    const nameInput = document.getElementById('project-name-input');
+
+    document.getElementById('btn-projects').addEventListener('click', showProjectModal);
+    document.getElementById('btn-close-projects').addEventListener('click', hideProjectModal);
+    projectModal.addEventListener('click', (e) => {
+        if (e.target === projectModal) hideProjectModal();
+    });
+
+    document.getElementById('btn-save-project').addEventListener('click', () => {
+        if (!confirmLocalPadsLeftOut('The saved project')) return;
+        runProjectAction('save the project', async () => {
+            await saveProject(nameInput.value.trim(), currentProjectId);
+            renderProjectList();
+        });
+    });
+    document.getElementById('btn-save-project-new').addEventListener('click', () => {
+        if (!confirmLocalPadsLeftOut('The saved project')) return;
+        runProjectAction('save the project', async () => {
+            await saveProject(nameInput.value.trim());
+            renderProjectList();
+        });
+    });
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (!confirmLocalPadsLeftOut('The saved project')) return;
+        runProjectAction('save the project', async () => {
+            await saveProject(nameInput.value.trim(), currentProjectId);
+            renderProjectList();
+        });
+    });
+}
+
+// Library calls fail when IndexedDB is unavailable (private browsing) or a transaction fails (quota)
+async function runProjectAction(description, action) {
+    try {
+        await action();
+    } catch (error) {
+        console.error(`Failed to ${description}:`, error);
+        alert(`Couldn't ${description}: ${(error && error.message) || error}`);
+    }
+}
+
+function showProjectModal() {
+    document.getElementById('project-modal').classList.add('visible');
+    renderProjectList();
+}
+
+function hideProjectModal() {
+    document.getElementById('project-modal').classList.remove('visible');
+}
+
+async function renderProjectList() {
+    const projectList = document.getElementById('project-list');
+    const nameInput = document.getElementById('project-name-input');
+
+    let projects;
+    try {
+        projects = await listProjects();
+    } catch (error) {
+        console.error('Failed to read project library:', error);
+        projectList.innerHTML = '<p class="project-empty">Local storage is unavailable in this browser.</p>';
+        return;
+    }
+
+    const current = projects.find(p => p.id === currentProjectId);
+    if (current && !nameInput.value) nameInput.value = current.name;
+
+    projectList.innerHTML = '';
+    if (projects.length === 0) {
+        projectList.innerHTML = '<p class="project-empty">No saved projects yet.</p>';
+        return;
+    }
+
+    projects.forEach(project => {
+        const card = document.createElement('div');
+        card.classList.add('project-card');
+        if (project.id === currentProjectId) card.classList.add('current');
+
+        const thumbs = document.createElement('div');
+        thumbs.classList.add('project-thumbs');
+        project.videoIds.forEach(videoId => {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`;
+            thumbnail.alt = '';
+            thumbs.appendChild(thumbnail);
+        });
+        thumbs.addEventListener('click', () => loadProjectAndClose(project.id));
+        card.appendChild(thumbs);
+
+        const name = document.createElement('div');
+        name.classList.add('project-name');
+        name.textContent = project.name;
+        name.title = `Saved ${new Date(project.updatedAt).toLocaleString()}`;
+        card.appendChild(name);
+
+        const actions = document.createElement('div');
+        actions.classList.add('project-actions');
+        const addAction = (label, handler) => {
+            const btn = document.createElement('button');
+            btn.classList.add('btn-text');
+            btn.textContent = label;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        };
+        addAction('LOAD', () => loadProjectAndClose(project.id));
+        addAction('RENAME', () => {
+            const newName = prompt('Rename project', project.name);
+            if (!newName || !newName.trim()) return;
+            runProjectAction('rename the project', async () => {
+                await renameProject(project.id, newName.trim());
+                if (project.id === currentProjectId) nameInput.value = newName.trim();
+                renderProjectList();
+            });
+        });
+        addAction('DUPLICATE', () => runProjectAction('duplicate the project', async () => {
+            await duplicateProject(project.id);
+            renderProjectList();
+        }));
+        addAction('DELETE', () => {
+            if (!confirm(`Delete "${project.name}"?`)) return;
+            runProjectAction('delete the project', async () => {
+                await deleteProject(project.id);
+                renderProjectList();
+            });
+        });
+        card.appendChild(actions);
+
+        projectList.appendChild(card);
+    });
+}
+
+function loadProjectAndClose(id) {
+    return runProjectAction('load the project', async () => {
+        await loadProject(id);
+        const project = await projectStoreRequest('readonly', store => store.get(id));
+        if (project) document.getElementById('project-name-input').value = project.name;
+        hideProjectModal();
+    });
+}
+
+// ==========================================
+// KIT FILES (EXPORT / IMPORT)
+// ==========================================
+
+function setupKitFileEvents() {
+    const kitFileInput = document.getElementById('kit-file-input');
+
+    document.getElementById('btn-export-kit').addEventListener('click', exportKit);
+    document.getElementById('btn-import-kit').addEventListener('click', () => kitFileInput.click());
+    kitFileInput.addEventListener('change', () => {
+        if (kitFileInput.files[0]) importKitFile(kitFileInput.files[0]);
+        kitFileInput.value = ''; // Allow re-importing the same file
+    });
+
+    // Dropping a kit file anywhere on the grid imports it
+    padGrid.addEventListener('dragover', (e) => e.preventDefault());
+    padGrid.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const kitFile = getDroppedKitFile(e);
+        if (kitFile) importKitFile(kitFile);
+    });
+}
+
+function buildKitFile() {
+    const kit = getKitState();
+    return {
+        format: KIT_FILE_FORMAT,
+        version: KIT_FILE_VERSION,
+        bpm: kit.bpm,
+        swing: kit.swing,
+        masterVolume: kit.masterVolume,
+        masterRate: kit.masterRate,
+        launchQuantize: kit.launchQuantize,
+        scenes: kit.scenes,
+        sceneOnBar: kit.sceneOnBar,
+        pads: kit.pads
+            .map((savedState, index) => savedState ? { index, ...savedState } : null)
+            .filter(Boolean)
+    };
+}
+
+function exportKit() {
+    if (!confirmLocalPadsLeftOut('The kit file')) return;
+    const name = document.getElementById('project-name-input').value.trim() || 'kit';
+    const fileName = name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'kit';
+    const blob = new Blob([JSON.stringify(buildKitFile(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}${KIT_FILE_EXTENSION}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Convert a parsed kit file into kit state, or throw with a user-facing reason
+function parseKitFile(data) {
+    if (!data || data.format !== KIT_FILE_FORMAT || !Array.isArray(data.pads)) {
+        throw new Error('This is not a yousampler kit file.');
+    }
+    if (!Number.isInteger(data.version) || data.version > KIT_FILE_VERSION) {
+        throw new Error('This kit was saved by a newer version of yousampler.');
+    }
+
+    const state = {
+        bpm: data.bpm,
+        swing: data.swing,
+        masterVolume: data.masterVolume,
+        masterRate: data.masterRate,
+        launchQuantize: data.launchQuantize,
+        scenes: data.scenes,
+        sceneOnBar: data.sceneOnBar,
+        pads: new Array(pads.length).fill(null)
+    };
+    data.pads.forEach(padData => {
+        if (!padData || !Number.isInteger(padData.index) || padData.index < 0 || padData.index >= pads.length) return;
+        if (typeof padData.videoId !== 'string' || !/^[\w-]{11}$/.test(padData.videoId)) return;
+        state.pads[padData.index] = padData;
+    });
+    return state;
+}
+
+async function importKitFile(file) {
+    let state;
+    try {
+        state = parseKitFile(JSON.parse(await file.text()));
+    } catch (error) {
+        console.error('Failed to import kit:', error);
+        alert(error instanceof SyntaxError ? 'This kit file is not valid JSON.' : error.message);
+        return;
+    }
+
+    applyKitState(state);
+    hideProjectModal();
+}
+
+function getDroppedKitFile(e) {
+    const files = e.dataTransfer ? [...e.dataTransfer.files] : [];
+    return files.find(file => file.name.toLowerCase().endsWith('.json')) || null;
+}
+
 // ==========================================
 // TRASH & DRAG DROP EVENTS
 // ==========================================
@@ -1119,7 +2813,9 @@ function setupTrashEvents() {
         try {
             const data = JSON.parse(e.dataTransfer.getData('text/plain'));
             if (data.type === 'pad-move') {
+                const edit = beginPadEdit([data.index]);
                 deletePad(data.index); // Delete the dragged pad
+                commitPadEdit(edit);
             }
         } catch (err) {
             // Not a pad move, ignore (e.g., URL drop)
@@ -1129,7 +2825,9 @@ function setupTrashEvents() {
     // Click to delete active pad
     trashZone.addEventListener('click', () => {
         if (activePadIndex !== null) {
+            const edit = beginPadEdit([activePadIndex]);
             deletePad(activePadIndex);
+            commitPadEdit(edit);
         }
     });
 }
@@ -1144,13 +2842,32 @@ function handlePadDrop(index, e) {
     e.preventDefault();
     e.stopPropagation(); // Prevent parent elements from handling drop
 
+    const kitFile = getDroppedKitFile(e);
+    if (kitFile) {
+        importKitFile(kitFile);
+        return;
+    }
+
+    const files = e.dataTransfer ? [...e.dataTransfer.files] : [];
+    if (files.length) {
+        const mediaFile = files.find(isLocalMediaFile);
+        if (mediaFile) {
+            loadFileToPad(index, mediaFile);
+        } else {
+            alert('Only MP4, WebM, MP3 and WAV files can be loaded onto a pad.');
+        }
+        return;
+    }
+
     try {
         const rawData = e.dataTransfer.getData('text/plain');
         const data = JSON.parse(rawData);
         if (data.type === 'pad-move') {
             // If it's a pad being moved/copied
             if (data.index !== index) { // Don't copy to self
+                const edit = beginPadEdit([index]);
                 copyPad(data.index, index);
+                commitPadEdit(edit);
             }
             return;
         }
@@ -1167,303 +2884,2444 @@ function handlePadDrop(index, e) {
 }
 
 // ==========================================
-// FULL SCREEN MODE
+// LOCAL MEDIA FILES
 // ==========================================
 
-function setupFullScreenEvents() {
-    btnFullscreen.addEventListener('click', enterFullScreen);
-    btnExitFullscreen.addEventListener('click', exitFullScreen);
-
-    // Listen for Escape key to exit full screen
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && document.body.classList.contains('full-screen-mode')) {
-            exitFullScreen();
-        }
-    });
+// Kits, links and projects can only bring back YouTube clips
+function isPadShareable(pad) {
+    return !!pad.videoId && pad.sourceType === 'youtube';
 }
 
-function enterFullScreen() {
-    if (activePadIndex === null) {
-        // If no pad is active, maybe select the first one with a video?
-        const firstWithVideo = pads.findIndex(p => p.videoId);
-        if (firstWithVideo !== -1) {
-            selectPad(firstWithVideo);
-        } else {
-            alert('Please load a video first.');
-            return;
-        }
-    }
-    document.body.classList.add('full-screen-mode');
-    updateZIndices();
+// Warn before saving or sharing a kit that has local file pads, which it will come back without
+function confirmLocalPadsLeftOut(target) {
+    const labels = pads.map((pad, index) => pad.videoId && !isPadShareable(pad) ? getPadLabel(index) : null).filter(Boolean);
+    if (!labels.length) return true;
+    return confirm(`${target} won't include pads playing local files (${labels.join(', ')}). Continue?`);
 }
 
-function exitFullScreen() {
-    document.body.classList.remove('full-screen-mode');
-    updateZIndices();
+function isLocalMediaFile(file) {
+    const name = file.name.toLowerCase();
+    return LOCAL_MEDIA_TYPES.includes(file.type) || LOCAL_MEDIA_EXTENSIONS.some(ext => name.endsWith(ext));
 }
 
-// ==========================================
-// 8. MIDI SUPPORT
-// ==========================================
-
-function setupMidiControl() {
-    const btnMidiToggle = document.getElementById('btn-midi-toggle');
-    btnMidiToggle.addEventListener('click', toggleMidi);
+function loadFileToPad(index, file) {
+    // The URL stays valid for the whole session, since undo can bring the pad back after a delete
+    loadVideoToPad(index, URL.createObjectURL(file), false, null, file.name);
 }
 
-async function toggleMidi() {
-    const btnMidiToggle = document.getElementById('btn-midi-toggle');
-
-    if (midiEnabled) {
-        // Disable MIDI
-        midiEnabled = false;
-        btnMidiToggle.classList.remove('active');
-        if (midiAccess) {
-            // Remove event listeners from all inputs
-            for (const input of midiAccess.inputs.values()) {
-                input.onmidimessage = null;
-            }
-        }
-        console.log('MIDI Disabled');
-    } else {
-        // Enable MIDI
-        try {
-            if (!midiAccess) {
-                midiAccess = await navigator.requestMIDIAccess();
-            }
+// Plays a local file through a <video> element (audio files too), answering the subset of the
+// YT.Player API the pads use and reporting the same state codes
+class MediaElementPlayer {
+    constructor(elementId, { src, title, events }) {
+        this.title = title;
+        this.events = events;
+        this.hasPlayed = false;
+
+        const element = document.createElement('video');
+        element.id = elementId;
+        element.playsInline = true;
+        element.preload = 'auto';
+        element.src = src;
+        document.getElementById(elementId).replaceWith(element); // Takes the container's place, like the iframe does
+        this.element = element;
+
+        element.addEventListener('loadedmetadata', () => this.emit('onReady'), { once: true });
+        element.addEventListener('playing', () => this.emit('onStateChange', PLAYER_STATE.PLAYING));
+        element.addEventListener('waiting', () => this.emit('onStateChange', PLAYER_STATE.BUFFERING));
+        element.addEventListener('pause', () => {
+            if (!element.ended) this.emit('onStateChange', PLAYER_STATE.PAUSED); // YouTube only reports the end
+        });
+        element.addEventListener('ended', () => this.emit('onStateChange', PLAYER_STATE.ENDED));
+        element.addEventListener('error', () => this.emit('onError', 'unsupported'));
+    }
 
-            midiEnabled = true;
-            btnMidiToggle.classList.add('active');
+    emit(name, data) {
+        if (this.element && this.events[name]) this.events[name]({ target: this, data });
+    }
 
-            // Attach listeners to all inputs
-            for (const input of midiAccess.inputs.values()) {
-                input.onmidimessage = onMidiMessage;
+    playVideo() {
+        this.hasPlayed = true;
+        this.element.play().catch(error => {
+            if (error.name === 'AbortError') return; // Interrupted by a pause or a new source
+            if (error.name === 'NotSupportedError') {
+                this.emit('onError', 'unsupported');
+            } else {
+                this.emit('onStateChange', PLAYER_STATE.PAUSED); // Blocked, e.g. before any user gesture
             }
+        });
+    }
 
-            // Listen for connection changes
-            midiAccess.onstatechange = (e) => {
-                if (e.port.type === 'input' && e.port.state === 'connected') {
-                    e.port.onmidimessage = onMidiMessage;
-                }
-            };
+    pauseVideo() {
+        this.element.pause();
+    }
 
-            console.log('MIDI Enabled');
-        } catch (err) {
-            console.error('MIDI Access Failed:', err);
-            alert('Could not access MIDI devices. Please ensure you are using a supported browser (Chrome, Edge, Atlas) and have granted permission.');
-        }
+    seekTo(seconds) {
+        this.element.currentTime = seconds;
+        if (!this.hasPlayed) this.playVideo(); // Like YouTube, seeking a player that never played starts it
     }
-}
 
-function onMidiMessage(event) {
-    if (!midiEnabled) return;
+    setVolume(volume) {
+        this.element.volume = Math.max(0, Math.min(100, volume)) / 100;
+    }
 
-    const [status, data1, data2] = event.data;
-    const command = status & 0xf0;
-    const note = data1;
-    const velocity = data2;
+    setPlaybackRate(rate) {
+        this.element.playbackRate = rate;
+    }
 
-    // Note On (144) or Note Off (128)
-    // Some devices send Note On with velocity 0 for Note Off
-    if (command === 144 && velocity > 0) {
-        // Note On
-        handleMidiNoteOn(note, velocity);
-    } else if (command === 128 || (command === 144 && velocity === 0)) {
-        // Note Off
-        handleMidiNoteOff(note);
+    getCurrentTime() {
+        return this.element.currentTime;
     }
-}
 
-const midiStartNote = 36;
+    getDuration() {
+        return Number.isFinite(this.element.duration) ? this.element.duration : 0;
+    }
 
-function handleMidiNoteOn(note, velocity) {
-    // Map notes 36-51 to pads 0-15
-    const padIndex = note - midiStartNote;
+    getPlayerState() {
+        const element = this.element;
+        if (element.ended) return PLAYER_STATE.ENDED;
+        if (element.paused) return this.hasPlayed ? PLAYER_STATE.PAUSED : PLAYER_STATE.CUED;
+        return element.readyState < HTMLMediaElement.HAVE_FUTURE_DATA ? PLAYER_STATE.BUFFERING : PLAYER_STATE.PLAYING;
+    }
 
-    if (padIndex >= 0 && padIndex < PAD_COUNT) {
-        // Simulate pad trigger
+    getVideoData() {
+        return { title: this.title };
+    }
+
+    getIframe() {
+        return this.element;
+    }
+
+    destroy() {
+        const element = this.element;
+        this.element = null;
+        element.pause();
+        element.removeAttribute('src');
+        element.load(); // Let go of the decoder
+        element.remove();
+    }
+}
+
+// ==========================================
+// PAD BANKS
+// ==========================================
+
+function getPadBank(index) {
+    return Math.floor(index / PAD_COUNT);
+}
+
+function getPadSlot(index) {
+    return index % PAD_COUNT;
+}
+
+function getBankPadIndex(slot, bank = currentBank) {
+    return bank * PAD_COUNT + slot;
+}
+
+// Human-readable pad name, e.g. "B3"
+function getPadLabel(index) {
+    return `${BANK_NAMES[getPadBank(index)]}${getPadSlot(index) + 1}`;
+}
+
+function setupBankEvents() {
+    document.querySelectorAll('.bank-btn').forEach(btn => {
+        const bank = parseInt(btn.dataset.bank, 10);
+        btn.addEventListener('click', () => switchBank(bank));
+
+        // Hovering a pad drag over a bank switches to it, so pads can be copied across banks
+        btn.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            switchBank(bank);
+        });
+    });
+    updateBankIndicators();
+}
+
+function switchBank(bank) {
+    if (bank === currentBank || bank < 0 || bank >= BANK_COUNT) return;
+    currentBank = bank;
+
+    // Pads in other banks keep playing; they are only moved beneath the grid
+    pads.forEach((_, index) => {
+        const el = document.getElementById(`pad-${index}`);
+        if (el) el.classList.toggle('off-bank', getPadBank(index) !== currentBank);
+    });
+    updateZIndices();
+    updateBankIndicators();
+    updateMidiFeedback(); // The controller now plays this bank
+}
+
+function updateBankIndicators() {
+    document.querySelectorAll('.bank-btn').forEach(btn => {
+        const bank = parseInt(btn.dataset.bank, 10);
+        const bankPads = pads.slice(bank * PAD_COUNT, (bank + 1) * PAD_COUNT);
+        btn.classList.toggle('active', bank === currentBank);
+        btn.classList.toggle('has-playing', bankPads.some(p => p.isPlaying));
+    });
+}
+
+// ==========================================
+// KEY MAPPING
+// ==========================================
+
+function setupKeyMapping() {
+    const layoutSelect = document.getElementById('key-layout');
+    Object.entries(KEY_MAP_PRESETS).forEach(([id, preset]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = preset.label;
+        layoutSelect.appendChild(option);
+    });
+    layoutSelect.addEventListener('change', () => {
+        if (!KEY_MAP_PRESETS[layoutSelect.value]) return;
+        setKeyBindings(getPresetKeyBindings(layoutSelect.value));
+        layoutSelect.blur(); // Hand the keyboard back to the pads
+    });
+
+    // Clicking anywhere else cancels a pending rebind
+    document.addEventListener('click', () => {
+        if (keyCaptureSlot !== null || sceneKeyCaptureId !== null) stopKeyCapture();
+    });
+
+    updateKeyLabels();
+}
+
+function getPresetKeyBindings(presetId) {
+    return KEY_MAP_PRESETS[presetId].keys.map((key, slot) => ({
+        code: KEY_MAP_CODES[slot],
+        key,
+        label: getKeyLabel(key, KEY_MAP_CODES[slot])
+    }));
+}
+
+function getKeyLabel(key, code) {
+    // Digits read better than the unshifted symbols some layouts put on the number row
+    const digit = /^Digit(\d)$/.exec(code);
+    if (digit) return digit[1];
+    if (key && key.length === 1) return key.toUpperCase();
+    return code.replace(/^(Key|Numpad)/, '').slice(0, 3).toUpperCase();
+}
+
+function loadKeyBindings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(KEY_MAP_STORAGE_KEY));
+        if (Array.isArray(saved) && saved.length === PAD_COUNT) return saved;
+    } catch (e) {
+        // Fall through to the default layout
+    }
+    return getPresetKeyBindings('qwerty');
+}
+
+function setKeyBindings(bindings) {
+    keyBindings = bindings;
+    localStorage.setItem(KEY_MAP_STORAGE_KEY, JSON.stringify(bindings));
+    updateKeyLabels();
+}
+
+// Physical position first (works whatever the layout), then the typed character
+function findKeySlot(e) {
+    const byCode = keyBindings.findIndex(binding => binding && binding.code && binding.code === e.code);
+    if (byCode !== -1) return byCode;
+    const key = e.key.toLowerCase();
+    return keyBindings.findIndex(binding => binding && binding.key === key);
+}
+
+function getHeldKeyId(e) {
+    return e.code || e.key.toLowerCase();
+}
+
+function updateKeyLabels() {
+    pads.forEach((_, index) => {
+        const label = document.querySelector(`#pad-${index} .key-label`);
+        const binding = keyBindings[getPadSlot(index)];
+        if (label) label.textContent = binding ? binding.label : '';
+    });
+
+    // Show the preset these bindings match, if any
+    const presetId = Object.keys(KEY_MAP_PRESETS).find(id =>
+        JSON.stringify(getPresetKeyBindings(id)) === JSON.stringify(keyBindings));
+    document.getElementById('key-layout').value = presetId || 'custom';
+}
+
+function startKeyCapture(slot) {
+    stopKeyCapture();
+    keyCaptureSlot = slot;
+    document.querySelectorAll('.pad-key-overlay').forEach((overlay, index) => {
+        overlay.classList.toggle('capturing', getPadSlot(index) === slot);
+    });
+}
+
+function stopKeyCapture() {
+    keyCaptureSlot = null;
+    sceneKeyCaptureId = null;
+    document.querySelectorAll('.pad-key-overlay.capturing, .scene-key.capturing').forEach(el => el.classList.remove('capturing'));
+}
+
+function handleKeyCapture(e) {
+    // Wait for a plain key; modifiers belong to shortcuts
+    if (e.ctrlKey || e.metaKey || ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) return;
+    if (e.key === 'Escape' || e.code === 'Space') {
+        stopKeyCapture(); // Space stays the stop-all key
+        return;
+    }
+
+    const slot = keyCaptureSlot;
+    const binding = { code: e.code, key: e.key.toLowerCase(), label: getKeyLabel(e.key, e.code) };
+
+    // A key plays one pad: the pad that had it takes this pad's old key instead
+    const bindings = [...keyBindings];
+    const previous = bindings.findIndex(other => other && ((binding.code && other.code === binding.code) || other.key === binding.key));
+    if (previous !== -1 && previous !== slot) bindings[previous] = bindings[slot];
+    bindings[slot] = binding;
+
+    stopKeyCapture();
+    setKeyBindings(bindings);
+}
+
+// ==========================================
+// SLICES (CHOP TO PADS)
+// ==========================================
+
+function setupSliceControls() {
+    document.querySelectorAll('[data-slices]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (activePadIndex === null) return;
+            const pad = pads[activePadIndex];
+            const count = parseInt(btn.dataset.slices, 10);
+            const length = (pad.endTime - pad.startTime) / count;
+            const boundaries = Array.from({ length: count + 1 }, (_, i) => pad.startTime + i * length);
+            chopPadToSlices(activePadIndex, boundaries);
+        });
+    });
+
+    document.getElementById('btn-chop-markers').addEventListener('click', () => {
+        if (activePadIndex === null) return;
+        const pad = pads[activePadIndex];
+        chopPadToSlices(activePadIndex, [pad.startTime, ...getSliceMarkersInRange(pad), pad.endTime]);
+    });
+
+    document.getElementById('btn-clear-markers').addEventListener('click', () => {
+        if (activePadIndex === null) return;
+        const edit = beginPadEdit([activePadIndex]);
+        pads[activePadIndex].sliceMarkers = [];
+        commitPadEdit(edit);
+        updateTimelineUI(activePadIndex);
+        updateUrlState();
+    });
+}
+
+// Markers outside the current trim are kept but don't cut
+function getSliceMarkersInRange(pad) {
+    return pad.sliceMarkers.filter(time => time > pad.startTime + LOOP_EPSILON && time < pad.endTime - LOOP_EPSILON);
+}
+
+function addSliceMarker(index, time) {
+    const pad = pads[index];
+    if (time <= pad.startTime + LOOP_EPSILON || time >= pad.endTime - LOOP_EPSILON) return;
+
+    const edit = beginPadEdit([index]);
+    pad.sliceMarkers = [...pad.sliceMarkers, time].sort((a, b) => a - b);
+    commitPadEdit(edit);
+    updateTimelineUI(index);
+    updateUrlState();
+}
+
+function removeSliceMarker(index, markerIndex) {
+    const pad = pads[index];
+    const edit = beginPadEdit([index]);
+    pad.sliceMarkers = pad.sliceMarkers.filter((_, i) => i !== markerIndex);
+    commitPadEdit(edit);
+    updateTimelineUI(index);
+    updateUrlState();
+}
+
+let renderedSliceMarkers = null; // What the marker elements show, to skip rebuilding them on every trim drag
+
+function renderSliceMarkers(pad) {
+    document.getElementById('btn-chop-markers').disabled = !pad.duration || getSliceMarkersInRange(pad).length === 0;
+
+    const view = getTimelineView(pad);
+    const key = JSON.stringify([pad.id, pad.duration, pad.sliceMarkers, view.start, view.duration]);
+    if (key === renderedSliceMarkers) return;
+    renderedSliceMarkers = key;
+
+    timelineContainer.querySelectorAll('.slice-marker').forEach(el => el.remove());
+    if (!pad.duration) return;
+
+    pad.sliceMarkers.forEach((time, markerIndex) => {
+        const marker = document.createElement('div');
+        marker.classList.add('slice-marker');
+        const percent = timeToPercent(pad, time);
+        if (percent < 0 || percent > 100) return; // Scrolled out of view
+        marker.style.left = `${percent}%`;
+        marker.title = 'Chop marker (double-click to remove)';
+        marker.addEventListener('mousedown', (e) => e.stopPropagation()); // Not a range drag
+        marker.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            removeSliceMarker(pad.id, markerIndex);
+        });
+        timelineContainer.appendChild(marker);
+    });
+}
+
+// Spread [boundary, next boundary) ranges over the pads after the source, MPC "chop to pads" style.
+// Slices stay in the source's bank, where they can be seen, and stay linked to their source:
+// chopping it again replaces them. A chop that doesn't fit after the source starts on the source
+// pad itself, so a chop from the first slot fills the whole bank.
+function chopPadToSlices(sourceIndex, boundaries) {
+    const source = pads[sourceIndex];
+    if (!source.videoId || !source.duration) return;
+
+    const wanted = boundaries.length - 1;
+    const padsLeftInBank = PAD_COUNT - 1 - getPadSlot(sourceIndex);
+    if (padsLeftInBank < 1) {
+        alert('There are no pads after this one in its bank to chop into.');
+        return;
+    }
+    const firstTarget = wanted > padsLeftInBank ? sourceIndex : sourceIndex + 1;
+    const sliceCount = Math.min(wanted, sourceIndex + padsLeftInBank + 1 - firstTarget);
+    if (sliceCount < wanted) {
+        alert(`Only ${sliceCount} pads are left from this one to the end of its bank, so only the first ${sliceCount} slices will be created.`);
+    }
+
+    const targets = Array.from({ length: sliceCount }, (_, i) => firstTarget + i);
+    const staleSlices = pads
+        .map((pad, index) => index)
+        .filter(index => pads[index].sliceOf === sourceIndex && !targets.includes(index));
+
+    const occupied = targets.filter(index => index !== sourceIndex && pads[index].videoId && pads[index].sliceOf !== sourceIndex);
+    if (occupied.length && !confirm(`Chopping will replace ${occupied.length} loaded pad${occupied.length === 1 ? '' : 's'}. Continue?`)) {
+        return;
+    }
+
+    const edit = beginPadEdit([...targets, ...staleSlices]);
+    const sourceState = getPadSavedState(source);
+    const snapshot = {};
+    targets.forEach((index, i) => {
+        if (index === sourceIndex) {
+            // The source plays the first slice but keeps its pattern and markers to chop again
+            snapshot[index] = { ...sourceState, startTime: boundaries[i], endTime: boundaries[i + 1], loopBeats: 0 };
+            return;
+        }
+        snapshot[index] = {
+            ...sourceState,
+            startTime: boundaries[i],
+            endTime: boundaries[i + 1],
+            steps: [], // Slices start with an empty pattern
+            sliceMarkers: [],
+            sliceOf: sourceIndex,
+            loopBeats: 0 // Slice lengths come from the chop
+        };
+    });
+    staleSlices.forEach(index => {
+        snapshot[index] = null; // Left over from a chop with more slices
+    });
+
+    applyPadSnapshot(snapshot);
+    commitPadEdit(edit);
+    selectPad(sourceIndex); // Keep the source selected to refine markers and chop again
+    updateUrlState();
+}
+
+// ==========================================
+// PUNCH-IN
+// ==========================================
+
+// IN and OUT set the selected pad's start/end to where it is playing now. RE is held:
+// press at the loop start, release at its end, and the loop plays from the new points.
+function setupPunchControls() {
+    document.querySelectorAll('[data-punch]').forEach(btn => {
+        const action = btn.dataset.punch;
+        btn.addEventListener('mousedown', (e) => {
+            e.preventDefault(); // Keep focus (and the arrow keys) off the button
+            pressPunchAction(action);
+        });
+        btn.addEventListener('mouseup', () => releasePunchAction(action));
+        btn.addEventListener('mouseleave', () => releasePunchAction(action));
+    });
+}
+
+// Selected pad and its playback position, if it is playing
+function getPunchPosition() {
+    if (activePadIndex === null) return null;
+    const pad = pads[activePadIndex];
+    if (!pad.isPlaying || !pad.duration || !pad.player || !pad.player.getCurrentTime) return null;
+    return { pad, time: getPadClockTime(pad, performance.now()) };
+}
+
+function pressPunchAction(action) {
+    const position = getPunchPosition();
+    if (!position) return;
+    const { pad, time } = position;
+
+    if (action === 'repunch') {
+        if (repunch) return;
+        // Let the clip run past the old end until the release marks the new one
+        repunch = { edit: beginPadEdit([pad.id]), padIndex: pad.id, endTime: pad.endTime };
+        pad.startTime = Math.min(time, pad.duration - LOOP_EPSILON);
+        pad.endTime = pad.duration;
+        freeLoopLength(pad);
+        document.querySelector('[data-punch="repunch"]').classList.add('active');
+        updateTimelineUI(pad.id);
+        return;
+    }
+
+    const edit = beginPadEdit([pad.id]);
+    if (action === 'punchIn') {
+        pad.startTime = Math.min(time, pad.duration - LOOP_EPSILON);
+        // Punching in past the end reopens the clip to the end of the video
+        if (pad.endTime < pad.startTime + LOOP_EPSILON) pad.endTime = pad.duration;
+        applyLoopLength(pad);
+    } else if (action === 'punchOut') {
+        if (time < pad.startTime + LOOP_EPSILON) return;
+        pad.endTime = time;
+        freeLoopLength(pad);
+    }
+    commitPadEdit(edit);
+    updateTimelineUI(pad.id);
+    updateUrlState();
+}
+
+function releasePunchAction(action) {
+    if (action !== 'repunch' || !repunch) return;
+    const pad = pads[repunch.padIndex];
+    const position = getPunchPosition();
+
+    if (position && position.pad === pad && position.time > pad.startTime + LOOP_EPSILON) {
+        pad.endTime = position.time;
+    } else {
+        // Released too early (or the pad stopped): keep the old end if it still fits
+        pad.endTime = Math.max(repunch.endTime, pad.startTime + LOOP_EPSILON);
+    }
+
+    commitPadEdit(repunch.edit);
+    repunch = null;
+    document.querySelector('[data-punch="repunch"]').classList.remove('active');
+    if (activePadIndex === pad.id) updateTimelineUI(pad.id);
+    updateUrlState();
+}
+
+// ==========================================
+// FULL SCREEN MODE
+// ==========================================
+
+function setupFullScreenEvents() {
+    btnFullscreen.addEventListener('click', enterFullScreen);
+    btnExitFullscreen.addEventListener('click', exitFullScreen);
+
+    // Listen for Escape key to exit full screen
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && document.body.classList.contains('full-screen-mode')) {
+            exitFullScreen();
+        }
+    });
+}
+
+function enterFullScreen() {
+    if (activePadIndex === null) {
+        // If no pad is active, maybe select the first one with a video?
+        const firstWithVideo = pads.findIndex(p => p.videoId);
+        if (firstWithVideo !== -1) {
+            selectPad(firstWithVideo);
+        } else {
+            alert('Please load a video first.');
+            return;
+        }
+    }
+    document.body.classList.add('full-screen-mode');
+    updateZIndices();
+}
+
+function exitFullScreen() {
+    document.body.classList.remove('full-screen-mode');
+    updateZIndices();
+}
+
+// ==========================================
+// 8. MIDI SUPPORT
+// ==========================================
+
+function setupMidiControl() {
+    const btnMidiToggle = document.getElementById('btn-midi-toggle');
+    btnMidiToggle.addEventListener('click', toggleMidi);
+
+    document.getElementById('midi-clock-source').addEventListener('change', (e) => {
+        setMidiClockSource(e.target.value);
+    });
+    document.getElementById('btn-midi-clock-out').addEventListener('click', toggleMidiClockSend);
+
+    const savedFeedback = loadMidiFeedbackSettings();
+    midiFeedback.outputName = savedFeedback.outputName || '';
+    midiFeedback.profile = MIDI_FEEDBACK_PROFILES[savedFeedback.profile] ? savedFeedback.profile : 'generic';
+
+    const profileSelect = document.getElementById('midi-feedback-profile');
+    Object.entries(MIDI_FEEDBACK_PROFILES).forEach(([id, profile]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.label;
+        profileSelect.appendChild(option);
+    });
+    profileSelect.value = midiFeedback.profile;
+
+    document.getElementById('midi-feedback-output').addEventListener('change', (e) => {
+        setMidiFeedbackTarget(e.target.value, midiFeedback.profile);
+    });
+    profileSelect.addEventListener('change', (e) => {
+        setMidiFeedbackTarget(midiFeedback.outputName, e.target.value);
+    });
+}
+
+async function toggleMidi() {
+    const btnMidiToggle = document.getElementById('btn-midi-toggle');
+
+    if (midiEnabled) {
+        // Disable MIDI
+        midiEnabled = false;
+        btnMidiToggle.classList.remove('active');
+        setMidiLearnActive(false);
+        setMidiClockSource('internal');
+        clearMidiFeedback();
+        document.body.classList.remove('midi-enabled');
+        if (midiAccess) {
+            // Remove event listeners from all inputs
+            for (const input of midiAccess.inputs.values()) {
+                input.onmidimessage = null;
+            }
+        }
+        console.log('MIDI Disabled');
+    } else {
+        // Enable MIDI
+        try {
+            if (!midiAccess) {
+                midiAccess = await navigator.requestMIDIAccess();
+            }
+
+            midiEnabled = true;
+            btnMidiToggle.classList.add('active');
+            document.body.classList.add('midi-enabled');
+
+            // Attach listeners to all inputs
+            for (const input of midiAccess.inputs.values()) {
+                input.onmidimessage = onMidiMessage;
+            }
+
+            // Listen for connection changes
+            midiAccess.onstatechange = (e) => {
+                if (e.port.type === 'input' && e.port.state === 'connected') {
+                    e.port.onmidimessage = onMidiMessage;
+                }
+                if (e.port.type === 'input') updateMidiClockSources();
+                if (e.port.type === 'output') updateMidiFeedbackOutputs();
+            };
+            updateMidiClockSources();
+            updateMidiFeedbackOutputs();
+
+            console.log('MIDI Enabled');
+        } catch (err) {
+            console.error('MIDI Access Failed:', err);
+            alert('Could not access MIDI devices. Please ensure you are using a supported browser (Chrome, Edge, Atlas) and have granted permission.');
+        }
+    }
+}
+
+function onMidiMessage(event) {
+    if (!midiEnabled) return;
+
+    const [status, data1, data2] = event.data;
+
+    // System real-time messages (clock, start, stop...) carry no channel
+    if (status >= 0xf8) {
+        handleMidiRealtime(status, event);
+        return;
+    }
+
+    const command = status & 0xf0;
+    const channel = status & 0x0f;
+    const device = getMidiDeviceName(event.target);
+    const note = data1;
+    const velocity = data2;
+
+    // In learn mode the next note or CC binds to the selected target instead of playing
+    if (midiLearnActive && midiLearnTarget && ((command === 144 && velocity > 0) || command === 176)) {
+        learnMidiMapping(device, command === 176 ? 'cc' : 'note', channel, data1);
+        return;
+    }
+
+    // Note On (144) or Note Off (128)
+    // Some devices send Note On with velocity 0 for Note Off
+    if (command === 144 && velocity > 0) {
+        // Note On
+        handleMidiNoteOn(note, velocity, device, channel);
+    } else if (command === 128 || (command === 144 && velocity === 0)) {
+        // Note Off
+        handleMidiNoteOff(note, device, channel);
+    } else if (command === 176) {
+        // Control Change
+        handleMidiControlChange(data1, data2, device, channel);
+    } else if (command === 192) {
+        // Program Change 0-3 selects bank A-D
+        if (data1 < BANK_COUNT) switchBank(data1);
+    }
+}
+
+const midiStartNote = 36;
+const heldMidiNotes = {}; // source -> pad index, so Note Off reaches the pad even after a bank switch
+
+function handleMidiNoteOn(note, velocity, device, channel) {
+    const mapping = findMidiMapping(device, 'note', channel, note);
+    if (mapping) {
+        runMidiMapping(mapping, velocity, `note:${channel}:${note}`);
+        return;
+    }
+
+    // Map notes 36-51 to slots 0-15 of the current bank
+    const slot = note - midiStartNote;
+
+    if (slot >= 0 && slot < PAD_COUNT) {
+        const padIndex = getBankPadIndex(slot);
+        heldMidiNotes[`note:${channel}:${note}`] = padIndex;
+        // Simulate pad trigger
         // We pass a mock event object if needed, or modify handlePadTrigger to handle missing event
         handlePadTrigger(padIndex, { type: 'midi', velocity: velocity });
     }
 }
 
-function handleMidiNoteOff(note) {
-    const padIndex = note - midiStartNote;
+function handleMidiNoteOff(note, device, channel) {
+    releaseMidiSource(`note:${channel}:${note}`);
+}
+
+function handleMidiControlChange(controller, value, device, channel) {
+    const mapping = findMidiMapping(device, 'cc', channel, controller);
+    if (!mapping) return;
+    const source = `cc:${channel}:${controller}`;
+
+    // Buttons that send CCs act as pads: pressed at 64 and above
+    if (mapping.target.startsWith('pad:') || mapping.target.startsWith('action:') || mapping.target.startsWith('scene:')) {
+        if (value >= 64) {
+            if (heldMidiNotes[source] === undefined) runMidiMapping(mapping, 127, source);
+        } else {
+            releaseMidiSource(source);
+        }
+        return;
+    }
+
+    applyMidiParam(mapping.target.split(':')[1], value);
+}
+
+function releaseMidiSource(source) {
+    if (heldMidiNotes[source] === undefined) return;
+    const padIndex = heldMidiNotes[source];
+    delete heldMidiNotes[source];
+    if (typeof padIndex === 'string') {
+        releasePunchAction(padIndex); // Learned actions are held by name
+        return;
+    }
+    handlePadRelease(padIndex, { type: 'midi' });
+}
+
+// Run a learned note-style mapping (a press)
+function runMidiMapping(mapping, velocity, source) {
+    const [kind, arg] = mapping.target.split(':');
+    if (kind === 'pad') {
+        const padIndex = getBankPadIndex(parseInt(arg, 10));
+        heldMidiNotes[source] = padIndex;
+        handlePadTrigger(padIndex, { type: 'midi', velocity: velocity });
+    } else if (kind === 'param' && arg === 'mode') {
+        cycleActivePadMode();
+    } else if (kind === 'scene') {
+        launchScene(parseInt(arg, 10));
+    } else if (kind === 'action' && arg === 'tapTempo') {
+        tapPadTempo();
+    } else if (kind === 'action') {
+        heldMidiNotes[source] = arg;
+        pressPunchAction(arg);
+    }
+}
+
+// Clock (0xF8), Start (0xFA), Continue (0xFB) and Stop (0xFC) from the followed input
+function handleMidiRealtime(status, event) {
+    if (midiClock.source === 'internal' || !event.target || event.target.id !== midiClock.source) return;
+
+    if (status === 0xf8) {
+        handleMidiClockTick(event.timeStamp || performance.now());
+    } else if (status === 0xfa) {
+        // Start: from the top, with loops realigned to the downbeat
+        stopSequencer();
+        midiClock.tickTimes = [];
+        startSequencer();
+        restartLoopingPads();
+    } else if (status === 0xfb) {
+        // Continue: from where Stop left off
+        if (transport.isRunning) return;
+        startSequencer();
+        transport.currentStep = midiClock.resumeStep;
+        midiClock.tickCount = midiClock.resumeTickCount;
+    } else if (status === 0xfc) {
+        midiClock.resumeStep = transport.currentStep;
+        midiClock.resumeTickCount = midiClock.tickCount;
+        stopSequencer();
+    }
+}
+
+function handleMidiClockTick(time) {
+    const times = midiClock.tickTimes;
+    if (times.length && time - times[times.length - 1] > MIDI_CLOCK_TIMEOUT) times.length = 0;
+    times.push(time);
+    if (times.length > MIDI_CLOCK_PPQN + 1) times.shift();
+
+    // Average over the last beat to smooth out USB jitter
+    if (times.length > 1) {
+        const tickInterval = (times[times.length - 1] - times[0]) / (times.length - 1);
+        const bpm = 60000 / (tickInterval * MIDI_CLOCK_PPQN);
+        if (Math.abs(bpm - transport.bpm) >= 0.1) setTransportBpm(bpm);
+    }
+
+    if (!transport.isRunning) return;
+    const isStepTick = midiClock.tickCount % MIDI_CLOCK_TICKS_PER_STEP === 0;
+    midiClock.tickCount++;
+    if (!isStepTick) return;
+
+    const step = (transport.currentStep + 1) % SEQ_STEPS;
+    transport.currentStep = step;
+    const swingOffset = getSwingOffset(step);
+    if (swingOffset) {
+        setTimeout(() => {
+            if (transport.isRunning && transport.currentStep === step) fireSequencerStep(step);
+        }, swingOffset);
+    } else {
+        fireSequencerStep(step);
+    }
+}
+
+// Jump playing loops back to their start so they line up with the external downbeat
+function restartLoopingPads() {
+    pads.forEach(pad => {
+        if (!pad.isPlaying || pad.mode !== 'loop' || !pad.player) return;
+        pad.player.seekTo(pad.startTime, true);
+        resetPadClock(pad, pad.startTime);
+    });
+}
+
+function setMidiClockSource(source) {
+    if (source === midiClock.source) return;
+    stopSequencer();
+    midiClock.source = source;
+    midiClock.tickTimes = [];
+    midiClock.resumeStep = -1;
+    midiClock.resumeTickCount = 0;
+    document.getElementById('midi-clock-source').value = source;
+    document.getElementById('btn-seq-run').disabled = source !== 'internal';
+    updateSequencerInputs();
+}
+
+// List MIDI inputs as clock sources, keeping the current choice if it is still connected
+function updateMidiClockSources() {
+    const select = document.getElementById('midi-clock-source');
+    select.innerHTML = '<option value="internal">INT CLK</option>';
+    const inputs = midiAccess ? [...midiAccess.inputs.values()].filter(input => input.state !== 'disconnected') : [];
+    inputs.forEach(input => {
+        const option = document.createElement('option');
+        option.value = input.id;
+        option.textContent = input.name || input.id;
+        select.appendChild(option);
+    });
+    if (midiClock.source !== 'internal' && !inputs.some(input => input.id === midiClock.source)) {
+        setMidiClockSource('internal');
+    }
+    select.value = midiClock.source;
+}
+
+function toggleMidiClockSend() {
+    midiClock.sendEnabled = !midiClock.sendEnabled;
+    document.getElementById('btn-midi-clock-out').classList.toggle('active', midiClock.sendEnabled);
+
+    // Joining mid-pattern: Continue lets followers pick up without rewinding
+    if (midiClock.sendEnabled && transport.isRunning && midiClock.source === 'internal') {
+        midiClock.nextSendTime = performance.now();
+        sendMidiMessage([0xfb]);
+    }
+}
+
+function isSendingMidiClock() {
+    return midiEnabled && midiClock.sendEnabled && midiClock.source === 'internal';
+}
+
+// Queue outgoing ticks a little ahead so the driver can time them precisely
+function sendMidiClockTicks(now) {
+    const tickDuration = getStepDuration() / MIDI_CLOCK_TICKS_PER_STEP;
+    if (midiClock.nextSendTime < now - MIDI_CLOCK_LOOKAHEAD) midiClock.nextSendTime = now; // Throttled tab
+    while (midiClock.nextSendTime < now + MIDI_CLOCK_LOOKAHEAD) {
+        sendMidiMessage([0xf8], midiClock.nextSendTime);
+        midiClock.nextSendTime += tickDuration;
+    }
+}
+
+function sendMidiMessage(data, timestamp) {
+    if (!midiAccess) return;
+    for (const output of midiAccess.outputs.values()) {
+        output.send(data, timestamp);
+    }
+}
+
+// Light the controller's pads: empty, loaded, selected or playing, for the current bank
+function updateMidiFeedback() {
+    const output = getMidiFeedbackOutput();
+    if (!output) return;
+    const profile = MIDI_FEEDBACK_PROFILES[midiFeedback.profile];
+
+    for (let slot = 0; slot < PAD_COUNT; slot++) {
+        const index = getBankPadIndex(slot);
+        const pad = pads[index];
+        let state = 'empty';
+        if (pad.isPlaying) state = 'playing';
+        else if (index === activePadIndex) state = 'selected';
+        else if (pad.videoId) state = 'loaded';
+
+        const { channel, note } = getMidiFeedbackNote(slot, profile);
+        const key = `${channel}:${note}`;
+        const velocity = profile.colors[state];
+        if (midiFeedback.sent[key] === velocity) continue;
+        output.send([0x90 | channel, note, velocity]);
+        midiFeedback.sent[key] = velocity;
+    }
+}
+
+// A pad learned to a note on this controller lights that note instead of the profile's
+// (a controller's input and output ports share its name)
+function getMidiFeedbackNote(slot, profile) {
+    const mappings = midiMappings[midiFeedback.outputName] || [];
+    const learned = mappings.find(m => m.type === 'note' && m.target === `pad:${slot}`);
+    if (learned) return { channel: learned.channel, note: learned.number };
+    return { channel: profile.channel, note: profile.note(slot) };
+}
+
+function getMidiFeedbackOutput() {
+    if (!midiEnabled || !midiAccess || !midiFeedback.outputName) return null;
+    return [...midiAccess.outputs.values()].find(output => getMidiDeviceName(output) === midiFeedback.outputName) || null;
+}
+
+// Turn off every LED we lit, e.g. before switching port or profile
+function clearMidiFeedback() {
+    const output = getMidiFeedbackOutput();
+    if (output) {
+        Object.keys(midiFeedback.sent).forEach(key => {
+            const [channel, note] = key.split(':').map(Number);
+            output.send([0x90 | channel, note, 0]);
+        });
+    }
+    midiFeedback.sent = {};
+}
+
+function setMidiFeedbackTarget(outputName, profile) {
+    clearMidiFeedback();
+    midiFeedback.outputName = outputName;
+    midiFeedback.profile = profile;
+    localStorage.setItem(MIDI_FEEDBACK_STORAGE_KEY, JSON.stringify({ outputName, profile }));
+    updateMidiFeedback();
+}
+
+function loadMidiFeedbackSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(MIDI_FEEDBACK_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// List MIDI outputs for LED feedback; a saved port is picked again once it connects
+function updateMidiFeedbackOutputs() {
+    const select = document.getElementById('midi-feedback-output');
+    select.innerHTML = '<option value="">NO LEDS</option>';
+    const outputs = midiAccess ? [...midiAccess.outputs.values()].filter(output => output.state !== 'disconnected') : [];
+    outputs.forEach(output => {
+        const option = document.createElement('option');
+        option.value = getMidiDeviceName(output);
+        option.textContent = getMidiDeviceName(output);
+        select.appendChild(option);
+    });
+    select.value = midiFeedback.outputName;
+
+    // A (re)connected controller starts dark, so send everything again
+    midiFeedback.sent = {};
+    updateMidiFeedback();
+}
+
+// ==========================================
+// MIDI LEARN
+// ==========================================
+
+function setupMidiLearn() {
+    midiMappings = loadMidiMappings();
+
+    document.getElementById('btn-midi-learn').addEventListener('click', () => {
+        setMidiLearnActive(!midiLearnActive);
+    });
+
+    // While learning, clicks pick a target instead of playing or editing
+    const pickTarget = (e) => {
+        if (!midiLearnActive) return;
+        const el = e.target.closest('[data-midi-learn]');
+        if (!el) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.type === 'mousedown' || e.type === 'touchstart') {
+            midiLearnTarget = getMidiLearnTarget(el);
+            updateMidiLearnHighlight();
+        }
+    };
+    ['mousedown', 'touchstart', 'click', 'dblclick'].forEach(type => {
+        document.addEventListener(type, pickTarget, { capture: true, passive: false });
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!midiLearnActive) return;
+        if (e.key === 'Escape') {
+            setMidiLearnActive(false);
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && midiLearnTarget) {
+            // Forget every binding to the selected target
+            e.preventDefault();
+            clearMidiMappingsForTarget(midiLearnTarget);
+        }
+    });
+}
+
+function setMidiLearnActive(active) {
+    midiLearnActive = active;
+    midiLearnTarget = null;
+    document.body.classList.toggle('midi-learn-mode', active);
+    document.getElementById('btn-midi-learn').classList.toggle('active', active);
+    updateMidiLearnHighlight();
+}
+
+function getMidiLearnTarget(el) {
+    if (el.dataset.midiLearn === 'pad') return `pad:${getPadSlot(parseInt(el.dataset.index, 10))}`;
+    return el.dataset.midiLearn;
+}
+
+function updateMidiLearnHighlight() {
+    document.querySelectorAll('[data-midi-learn]').forEach(el => {
+        const isOffBank = el.classList.contains('off-bank');
+        el.classList.toggle('midi-learn-selected', !isOffBank && getMidiLearnTarget(el) === midiLearnTarget);
+    });
+}
+
+function getMidiDeviceName(input) {
+    return (input && (input.name || input.id)) || 'default';
+}
+
+function loadMidiMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(MIDI_MAPPINGS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveMidiMappings() {
+    localStorage.setItem(MIDI_MAPPINGS_STORAGE_KEY, JSON.stringify(midiMappings));
+}
+
+function findMidiMapping(device, type, channel, number) {
+    const mappings = midiMappings[device] || [];
+    return mappings.find(m => m.type === type && m.channel === channel && m.number === number) || null;
+}
+
+function learnMidiMapping(device, type, channel, number) {
+    // A control drives one target; a target keeps one control per message type
+    const mappings = (midiMappings[device] || []).filter(m => {
+        const sameSource = m.type === type && m.channel === channel && m.number === number;
+        const sameTarget = m.target === midiLearnTarget && m.type === type;
+        return !sameSource && !sameTarget;
+    });
+    mappings.push({ type, channel, number, target: midiLearnTarget });
+    midiMappings[device] = mappings;
+    saveMidiMappings();
+
+    // Stay in learn mode so the next target can be picked right away
+    midiLearnTarget = null;
+    updateMidiLearnHighlight();
+}
+
+function clearMidiMappingsForTarget(target) {
+    Object.keys(midiMappings).forEach(device => {
+        midiMappings[device] = midiMappings[device].filter(m => m.target !== target);
+    });
+    saveMidiMappings();
+}
+
+let midiParamEdit = null; // Open undo snapshot while a CC keeps moving
+let midiParamEditTimer = null;
+
+// Apply a CC value (0-127) to a parameter of the selected pad
+function applyMidiParam(param, value) {
+    if (activePadIndex === null) return;
+    const pad = pads[activePadIndex];
+    if (!pad.videoId) return;
+
+    if (!midiParamEdit) midiParamEdit = beginPadEdit([activePadIndex]);
+    const amount = value / 127;
+
+    if (param === 'volume') {
+        pad.volume = Math.round(amount * 100);
+        if (pad.player && pad.player.setVolume) pad.player.setVolume(getPadOutputVolume(pad));
+    } else if (param === 'playbackRate') {
+        pad.playbackRate = snapPadRate(pad, 0.25 + amount * (getPadRateMax(pad) - 0.25));
+        pad.tempoSync = false;
+        if (pad.player && pad.player.setPlaybackRate) pad.player.setPlaybackRate(getPadOutputRate(pad));
+    } else if (param === 'mode') {
+        pad.mode = PAD_MODES[Math.min(PAD_MODES.length - 1, Math.floor(amount * PAD_MODES.length))];
+    } else if (param === 'attack' || param === 'release') {
+        pad[param] = Math.round(amount * ENVELOPE_MAX_MS / 10) * 10;
+    } else if (param === 'startTime' && pad.duration) {
+        pad.startTime = Math.min(amount * pad.duration, getMaxStartTime(pad));
+        applyLoopLength(pad);
+    } else if (param === 'endTime' && pad.duration) {
+        pad.endTime = Math.max(amount * pad.duration, pad.startTime + LOOP_EPSILON);
+        freeLoopLength(pad);
+    }
+    selectPad(activePadIndex); // Refresh knobs, mode and timeline
+
+    clearTimeout(midiParamEditTimer);
+    midiParamEditTimer = setTimeout(() => {
+        commitPadEdit(midiParamEdit);
+        midiParamEdit = null;
+        updateUrlState();
+    }, MIDI_EDIT_SETTLE_MS);
+}
+
+function cycleActivePadMode() {
+    if (activePadIndex === null || !pads[activePadIndex].videoId) return;
+    const pad = pads[activePadIndex];
+    const edit = beginPadEdit([activePadIndex]);
+    pad.mode = PAD_MODES[(PAD_MODES.indexOf(pad.mode) + 1) % PAD_MODES.length];
+    renderModeIcon(pad.mode);
+    commitPadEdit(edit);
+    updateUrlState();
+}
+
+
+// Clipboard Paste Support
+function setupClipboardEvents() {
+    document.addEventListener('paste', (e) => {
+        // Ignore paste if user is typing in an input
+        if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA') return;
+
+        const clipboardData = e.clipboardData || window.clipboardData;
+        const pastedData = clipboardData.getData('Text');
+        const videoId = extractVideoId(pastedData);
+
+        if (videoId) {
+            if (activePadIndex !== null) {
+                // If a pad is active, load to that pad
+                loadVideoToPad(activePadIndex, videoId);
+            } else {
+                // Otherwise, find the first empty pad in the current bank
+                const emptyIndex = pads.findIndex((p, i) => getPadBank(i) === currentBank && !p.videoId);
+                if (emptyIndex !== -1) {
+                    loadVideoToPad(emptyIndex, videoId);
+                } else {
+                    alert('No empty pads available to paste video.');
+                }
+            }
+        }
+    });
+}
+
+// Keyboard (Musical Typing) Events
+function setupKeyboardEvents() {
+    const heldKeys = {}; // key -> pad index, so keyup reaches the pad even after a bank switch
+
+    document.addEventListener('keydown', (e) => {
+        // Ignore keyboard input if an input field is active
+        if (document.activeElement.tagName === 'INPUT') return;
+
+        // Rebinding a pad key takes the next key press
+        if (keyCaptureSlot !== null) {
+            e.preventDefault();
+            handleKeyCapture(e);
+            return;
+        }
+        if (sceneKeyCaptureId !== null) {
+            e.preventDefault();
+            handleSceneKeyCapture(e);
+            return;
+        }
+
+        // Undo / Redo (checked before pad keys, since Z is also a pad)
+        if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    redo();
+                } else {
+                    undo();
+                }
+            }
+            return; // Leave other shortcuts (copy, paste, reload...) to the browser
+        }
+
+        // Arrow keys nudge the selected trim point (held keys keep nudging)
+        const isArrow = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(e.key);
+        if (isArrow && activePadIndex !== null && document.activeElement.tagName !== 'SELECT') {
+            e.preventDefault();
+            handleNudgeKey(e);
+            return;
+        }
+
+        if (e.repeat) return; // Prevent multiple triggers on key hold
+
+        // Spacebar to stop all playing pads
+        if (e.code === 'Space') {
+            e.preventDefault(); // Prevent scrolling
+            stopAllPads();
+            return;
+        }
+
+        // Shift+1-4 selects bank A-D (by code, so it works whatever Shift+digit types)
+        const bankMatch = e.shiftKey && /^Digit([1-9])$/.exec(e.code);
+        if (bankMatch && parseInt(bankMatch[1], 10) <= BANK_COUNT) {
+            switchBank(parseInt(bankMatch[1], 10) - 1);
+            return;
+        }
+
+        const slot = findKeySlot(e);
+        if (slot !== -1) {
+            const index = getBankPadIndex(slot);
+            heldKeys[getHeldKeyId(e)] = index;
+            handlePadTrigger(index, e);
+            document.getElementById(`pad-${index}`).classList.add('active'); // Visual feedback
+        } else if (findSceneByKey(e)) {
+            launchScene(findSceneByKey(e).id); // Scene keys are whatever the pads leave free
+        } else if (PUNCH_KEYS[e.code]) {
+            // Punch keys rank below pad keys, so a pad rebound to [ or ] still plays
+            heldKeys[getHeldKeyId(e)] = PUNCH_KEYS[e.code];
+            pressPunchAction(PUNCH_KEYS[e.code]);
+        }
+    });
+
+    document.addEventListener('keyup', (e) => {
+        if (document.activeElement.tagName === 'INPUT') return;
+
+        const key = getHeldKeyId(e);
+        if (heldKeys.hasOwnProperty(key)) {
+            const index = heldKeys[key];
+            delete heldKeys[key];
+            if (typeof index === 'string') {
+                releasePunchAction(index);
+                return;
+            }
+            handlePadRelease(index, e);
+            document.getElementById(`pad-${index}`).classList.remove('active'); // Remove visual feedback
+        }
+    });
+}
+
+// ==========================================
+// LOOP ENGINE
+// ==========================================
+// The YouTube API only reports the playing position every so often, so each pad keeps a clock:
+// the last reported position and when it arrived, run forward at the pad's rate. Region ends
+// are predicted from that clock and get a timer of their own, fired early by the pad's latency
+// so the seek lands right on the seam.
+
+function startPlaybackLoop() {
+    const frame = () => {
+        runPlaybackFrame();
+        requestAnimationFrame(frame);
+    };
+    requestAnimationFrame(frame);
+
+    // Hidden tabs get no animation frames
+    setInterval(() => {
+        if (document.hidden) runPlaybackFrame();
+    }, PLAYBACK_WATCHDOG_MS);
+}
+
+function runPlaybackFrame() {
+    const now = performance.now();
+    pads.forEach((pad, index) => {
+        if (!pad.isPlaying || !pad.player || !pad.player.getCurrentTime) return;
+        const currentTime = getPadClockTime(pad, now);
+
+        // Update playhead position for the active pad
+        if (index === activePadIndex) {
+            const percent = timeToPercent(pad, currentTime);
+            playhead.style.left = `${percent}%`;
+            playhead.style.visibility = (percent < 0 || percent > 100) ? 'hidden' : '';
+        }
+
+        // Fade out ahead of the region end (and the loop seam) so it doesn't click.
+        // Release is in real time, so convert the remaining media time at the playback rate.
+        const { release } = getEnvelopeTimes(pad);
+        const msToEnd = (pad.endTime - currentTime) / getPadOutputRate(pad) * 1000;
+        if (release && pad.envelopePhase !== 'release' && pad.envelopeGain > 0 && msToEnd <= release) {
+            rampPadEnvelope(pad, 'release', 0, Math.max(0, msToEnd));
+        }
+
+        // If endTime is the full duration, let the player finish naturally (ON_STATE_CHANGE -> ENDED),
+        // so the last fraction of a second isn't cut off. A loop waiting for the launch grid has no seam yet.
+        const isFullDuration = Math.abs(pad.duration - pad.endTime) < 0.1;
+        if (isFullDuration || pad.seamTimer || pendingLaunches.has(index)) return;
+
+        const msToSeam = msToEnd - pad.loopLatency;
+        if (msToSeam > SEAM_LOOKAHEAD_MS) return;
+        pad.seamTimer = setTimeout(() => {
+            pad.seamTimer = null;
+            handlePadSeam(index);
+        }, Math.max(0, msToSeam));
+    });
+}
+
+// Playing position, run forward from the last report at the pad's rate
+function getPadClockTime(pad, now) {
+    const reported = pad.player.getCurrentTime();
+    const isAdvancing = !pad.player.getPlayerState || pad.player.getPlayerState() === PLAYER_STATE.PLAYING;
+    if (!pad.clock || reported !== pad.clock.reported || !isAdvancing) {
+        if (pad.clock && reported !== pad.clock.reported) measurePadSeam(pad, reported, now);
+        pad.clock = { reported, media: reported, wall: now };
+        return reported;
+    }
+    return pad.clock.media + (now - pad.clock.wall) / 1000 * getPadOutputRate(pad);
+}
+
+// After a seek the player may keep reporting the old position for a while, so the clock
+// starts from the target and waits for the report to change
+function resetPadClock(pad, mediaTime) {
+    clearTimeout(pad.seamTimer);
+    pad.seamTimer = null;
+    pad.clock = { reported: pad.player.getCurrentTime(), media: mediaTime, wall: performance.now() };
+}
+
+function clearPadSeam(pad) {
+    clearTimeout(pad.seamTimer);
+    pad.seamTimer = null;
+    pad.seamCheck = null;
+}
+
+// Region end: loop back (or wait at the start for the launch grid), or stop
+function handlePadSeam(index) {
+    const pad = pads[index];
+    if (!pad.isPlaying || !pad.player) return;
+
+    if (pad.mode === 'loop') {
+        if (pendingLaunches.has(index)) return;
+        if (holdLoopForLaunch(index)) return;
+        // Remember when the seam was due, to see how close the restart lands
+        const now = performance.now();
+        const rate = getPadOutputRate(pad);
+        const seamAt = now + (pad.endTime - getPadClockTime(pad, now)) / rate * 1000;
+        restartPadLoop(pad);
+        pad.seamCheck = { issuedAt: now, seamAt, rate };
+    } else {
+        // Gate or One-Shot: Stop playback
+        cancelPadEnvelope(pad);
+        pad.player.pauseVideo();
+        pad.player.seekTo(pad.startTime, true); // Reset to start time
+        pad.isPlaying = false;
+        document.getElementById(`pad-${index}`).classList.remove('playing');
+        updateTransportIcon();
+    }
+}
+
+// A loop restart that has to wait for the launch grid holds the pad at its start until it fires
+function holdLoopForLaunch(index) {
+    const pad = pads[index];
+    if (!queuePadLaunch(index, 'loop')) return false;
+    pad.player.pauseVideo();
+    pad.player.seekTo(pad.startTime, true);
+    resetPadClock(pad, pad.startTime);
+    return true;
+}
+
+// The first fresh report after a loop restart tells when the seek took effect:
+// against the seek call that is the latency, against the due time the seam error
+function measurePadSeam(pad, reported, now) {
+    const check = pad.seamCheck;
+    if (!check) return;
+    const playedMs = (reported - pad.startTime) / check.rate * 1000;
+    if (playedMs < 0 || playedMs > SEAM_MEASURE_WINDOW_MS) {
+        // Still the position from before the seek, unless it is long overdue
+        if (now - check.issuedAt > SEAM_MEASURE_WINDOW_MS) pad.seamCheck = null;
+        return;
+    }
+    pad.seamCheck = null;
+
+    const appliedAt = now - playedMs;
+    pushSeamStat(pad.seamLatencies, appliedAt - check.issuedAt);
+    pushSeamStat(pad.seamErrors, appliedAt - check.seamAt);
+    if (pad.id === activePadIndex) updateSeamControls();
+}
+
+function pushSeamStat(list, value) {
+    list.push(value);
+    if (list.length > SEAM_STATS_SIZE) list.shift();
+}
+
+function setupSeamControls() {
+    const latencyField = document.getElementById('pad-latency');
+    latencyField.addEventListener('change', () => {
+        if (activePadIndex !== null) setPadLatency(activePadIndex, parseFloat(latencyField.value));
+        latencyField.blur(); // Hand the keyboard back to the pads
+    });
+
+    document.getElementById('btn-calibrate-latency').addEventListener('click', () => {
+        if (activePadIndex === null) return;
+        const pad = pads[activePadIndex];
+        if (!pad.seamLatencies.length) {
+            alert('Let this pad loop a few times first, then calibrate.');
+            return;
+        }
+        setPadLatency(activePadIndex, average(pad.seamLatencies));
+    });
+}
+
+function setPadLatency(index, ms) {
+    const pad = pads[index];
+    const edit = beginPadEdit([index]);
+    pad.loopLatency = Number.isFinite(ms) ? Math.max(0, Math.min(LOOP_LATENCY_MAX, Math.round(ms))) : LOOP_LATENCY_DEFAULT;
+    commitPadEdit(edit);
+    // Seams measured with the old latency no longer say anything about the new one
+    pad.seamErrors = [];
+    pad.seamLatencies = [];
+    if (activePadIndex === index) updateSeamControls();
+    updateUrlState();
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Last seam error (positive: the seam landed late and played past the end) and the recent average size
+function updateSeamControls() {
+    if (activePadIndex === null) return;
+    const pad = pads[activePadIndex];
+    const latencyField = document.getElementById('pad-latency');
+    if (document.activeElement !== latencyField) latencyField.value = pad.loopLatency;
+
+    const readout = document.getElementById('seam-error');
+    if (!pad.seamErrors.length) {
+        readout.textContent = '--';
+        return;
+    }
+    const last = Math.round(pad.seamErrors[pad.seamErrors.length - 1]);
+    const spread = Math.round(average(pad.seamErrors.map(Math.abs)));
+    readout.textContent = `${last > 0 ? '+' : ''}${last}ms ±${spread}`;
+}
+
+// ==========================================
+// GAPLESS (DOUBLE-BUFFERED PLAYERS)
+// ==========================================
+// A gapless pad keeps a second, hidden player paused at startTime. Loop seams and retriggers
+// switch to it instead of seeking, and the old player cues up at the start for the next switch.
+// pad.player is always the one playing, so the rest of the app (and activePadStack, which stacks
+// whole pads) never sees the switch; only which of the pad's two iframes shows changes.
+
+// Create or drop the standby player to match the pad's gapless setting
+function updateAltPlayer(index) {
+    const pad = pads[index];
+    if (!pad.gapless || !pad.videoId || !pad.player) {
+        destroyAltPlayer(pad);
+        return;
+    }
+    if (pad.altPlayer) return;
+
+    const container = document.createElement('div');
+    container.id = `player-${index}-alt`;
+    const mainFrame = pad.player.getIframe && pad.player.getIframe();
+    if (mainFrame) {
+        mainFrame.after(container);
+    } else {
+        document.getElementById(`pad-${index}`).prepend(container);
+    }
+
+    pad.altReady = false;
+    pad.altPlayer = createPadPlayer(pad, container.id, {
+        'onReady': (event) => onAltPlayerReady(index, event),
+        'onStateChange': (event) => onPlayerStateChange(index, event),
+        'onError': (event) => onPlayerError(index, event)
+    });
+}
+
+function destroyAltPlayer(pad) {
+    if (pad.altPlayer && typeof pad.altPlayer.destroy === 'function') {
+        pad.altPlayer.destroy();
+    }
+    pad.altPlayer = null;
+    pad.altReady = false;
+}
+
+function onAltPlayerReady(index, event) {
+    const pad = pads[index];
+    if (event.target !== pad.altPlayer) return; // Dropped before it got ready
+    const frame = pad.altPlayer.getIframe && pad.altPlayer.getIframe();
+    if (frame) frame.classList.add('standby');
+
+    // Seeking an unstarted player starts it, so buffering at the start takes a silent play that
+    // the state handler pauses as soon as it begins
+    pad.altPlayer.setVolume(0);
+    pad.altPlayer.seekTo(pad.startTime, true);
+}
+
+function onAltPlayerStateChange(index, event) {
+    const pad = pads[index];
+    if (event.target !== pad.altPlayer) return;
+    if (event.data !== PLAYER_STATE.PLAYING) return;
+    // A standby that starts playing on its own (first buffering) goes back to waiting at the start
+    cueAltPlayer(pad);
+    pad.altReady = true;
+}
+
+function cueAltPlayer(pad) {
+    pad.altPlayer.pauseVideo();
+    pad.altPlayer.seekTo(pad.startTime, true); // A paused player stays paused
+}
+
+// Standby is waiting, paused, at the pad's current start
+function isAltPlayerCued(pad) {
+    const state = pad.altPlayer.getPlayerState();
+    return (state === PLAYER_STATE.PAUSED || state === PLAYER_STATE.CUED)
+        && Math.abs(pad.altPlayer.getCurrentTime() - pad.startTime) <= LOOP_EPSILON;
+}
+
+// Go back to startTime: switch to the cued standby when there is one, otherwise seek
+function jumpPadToStart(pad) {
+    // Asked at jump time: a standby swapped out just now may still be seeking back
+    if (!pad.altReady || !isAltPlayerCued(pad)) {
+        // A paused standby away from the start was cued before the trim moved: cue it again for the next jump
+        if (pad.altReady && pad.altPlayer.getPlayerState() === PLAYER_STATE.PAUSED) cueAltPlayer(pad);
+        pad.player.seekTo(pad.startTime, true);
+        return;
+    }
+
+    const previous = pad.player;
+    const next = pad.altPlayer;
+    pad.player = next;
+    pad.altPlayer = previous;
+
+    next.setVolume(getPadOutputVolume(pad));
+    next.setPlaybackRate(getPadOutputRate(pad));
+
+    const nextFrame = next.getIframe && next.getIframe();
+    const previousFrame = previous.getIframe && previous.getIframe();
+    if (nextFrame) nextFrame.classList.remove('standby');
+    if (previousFrame) previousFrame.classList.add('standby');
+
+    previous.setVolume(0);
+    cueAltPlayer(pad);
+}
+
+// ==========================================
+// STEP SEQUENCER
+// ==========================================
+
+function setupSequencer() {
+    const seqSteps = document.getElementById('seq-steps');
+    const bpmInput = document.getElementById('seq-bpm');
+    const swingInput = document.getElementById('seq-swing');
+    const quantizeSelect = document.getElementById('launch-quantize');
+
+    for (let step = 0; step < SEQ_STEPS; step++) {
+        const stepEl = document.createElement('div');
+        stepEl.classList.add('seq-step');
+        stepEl.dataset.step = step;
+        stepEl.addEventListener('click', () => toggleStep(step));
+        seqSteps.appendChild(stepEl);
+    }
+
+    document.getElementById('btn-seq-run').addEventListener('click', () => {
+        if (transport.isRunning) {
+            stopSequencer();
+        } else {
+            startSequencer();
+        }
+    });
+
+    bpmInput.addEventListener('change', () => {
+        setTransportBpm(parseFloat(bpmInput.value));
+        updateUrlState();
+    });
+
+    swingInput.addEventListener('change', () => {
+        const swing = parseFloat(swingInput.value);
+        transport.swing = Number.isFinite(swing) ? Math.max(50, Math.min(75, swing)) : 50;
+        updateSequencerInputs();
+        updateUrlState();
+    });
+
+    LAUNCH_QUANTIZE_OPTIONS.forEach(option => {
+        const optionEl = document.createElement('option');
+        optionEl.value = option.steps;
+        optionEl.textContent = option.label;
+        quantizeSelect.appendChild(optionEl);
+    });
+    quantizeSelect.addEventListener('change', () => {
+        setLaunchQuantize(parseInt(quantizeSelect.value, 10));
+        quantizeSelect.blur(); // Hand the keyboard back to the pads
+        updateUrlState();
+    });
+
+    updateSequencerInputs();
+    updateStepButtons();
+}
+
+function setTransportBpm(bpm) {
+    transport.bpm = Number.isFinite(bpm) ? Math.max(40, Math.min(300, Math.round(bpm * 10) / 10)) : 120;
+    updateSequencerInputs();
+    applyTempoSync();
+}
+
+function updateSequencerInputs() {
+    const bpmInput = document.getElementById('seq-bpm');
+    bpmInput.value = transport.bpm;
+    bpmInput.disabled = midiClock.source !== 'internal'; // Tempo comes from the followed clock
+    document.getElementById('seq-swing').value = transport.swing;
+    document.getElementById('launch-quantize').value = transport.launchQuantize;
+}
+
+function toggleStep(step) {
+    if (activePadIndex === null) return;
+    const pad = pads[activePadIndex];
+    const edit = beginPadEdit([activePadIndex]);
+    pad.steps[step] = !pad.steps[step];
+    commitPadEdit(edit);
+    updateStepButtons();
+    updateUrlState();
+}
+
+function updateStepButtons() {
+    const pad = activePadIndex !== null ? pads[activePadIndex] : null;
+    document.querySelectorAll('.seq-step').forEach(el => {
+        const step = parseInt(el.dataset.step, 10);
+        el.classList.toggle('on', !!(pad && pad.steps[step]));
+        el.classList.toggle('current', transport.isRunning && step === transport.currentStep);
+    });
+}
+
+// Duration of one 16th-note step in ms
+function getStepDuration() {
+    return 60000 / transport.bpm / 4;
+}
+
+// Swing delays every second 16th within each 8th-note pair
+function getSwingOffset(step) {
+    if (step % 2 === 0) return 0;
+    return (transport.swing - 50) / 50 * getStepDuration();
+}
+
+function startSequencer() {
+    if (transport.isRunning) return;
+    transport.isRunning = true;
+    transport.currentStep = -1;
+
+    if (midiClock.source === 'internal') {
+        transport.nextStepTime = performance.now();
+        if (isSendingMidiClock()) {
+            midiClock.nextSendTime = transport.nextStepTime;
+            sendMidiMessage([0xfa]);
+        }
+        transport.timer = setInterval(runSequencerClock, SEQ_TIMER_INTERVAL);
+        scheduleLaunchTimer(); // Waiting launches move onto the steps
+        runSequencerClock();
+    } else {
+        // Steps advance on the external clock's ticks
+        midiClock.tickCount = 0;
+        scheduleLaunchTimer();
+    }
+    document.getElementById('btn-seq-run').classList.add('active');
+    updateTransportIcon();
+}
+
+function stopSequencer() {
+    if (!transport.isRunning) return;
+    if (transport.timer && isSendingMidiClock()) sendMidiMessage([0xfc]);
+    clearInterval(transport.timer);
+    transport.timer = null;
+    transport.isRunning = false;
+    transport.currentStep = -1;
+    releaseSequencerPads();
+    scheduleLaunchTimer(); // Waiting launches carry on with the free-running grid
+    document.getElementById('btn-seq-run').classList.remove('active');
+    updateStepButtons();
+    updateTransportIcon();
+}
+
+// Steps are scheduled against absolute times, so late timer callbacks
+// never accumulate into tempo drift.
+function runSequencerClock() {
+    const now = performance.now();
+    if (isSendingMidiClock()) sendMidiClockTicks(now);
+
+    const nextStep = (transport.currentStep + 1) % SEQ_STEPS;
+    if (now < transport.nextStepTime + getSwingOffset(nextStep)) return;
+
+    transport.currentStep = nextStep;
+    transport.nextStepTime += getStepDuration();
+
+    // If the tab was throttled, skip ahead rather than firing a burst of stale steps
+    if (transport.nextStepTime < now) {
+        transport.nextStepTime = now + getStepDuration();
+    }
+
+    fireSequencerStep(nextStep);
+}
+
+function fireSequencerStep(step) {
+    // Gate-mode hits last one step
+    releaseSequencerPads();
+
+    transport.lastStepTime = performance.now();
+    if (step === 0) transport.downbeatTime = transport.lastStepTime;
+    if (step === 0) firePendingScene();
+    if (isLaunchStep(step)) firePendingLaunches();
+
+    pads.forEach((pad, index) => {
+        if (!pad.steps[step] || !pad.videoId) return;
+        handlePadTrigger(index, { type: 'sequencer' });
+        sequencerHeldPads.add(index);
+    });
+
+    updateStepButtons();
+}
+
+function releaseSequencerPads() {
+    sequencerHeldPads.forEach(index => handlePadRelease(index, { type: 'sequencer' }));
+    sequencerHeldPads.clear();
+}
+
+// ==========================================
+// LAUNCH QUANTIZE
+// ==========================================
+
+function setLaunchQuantize(steps) {
+    transport.launchQuantize = LAUNCH_QUANTIZE_OPTIONS.some(option => option.steps === steps) ? steps : 0;
+    updateSequencerInputs();
+    if (!transport.launchQuantize) firePendingLaunches(); // Nothing to wait for any more
+    scheduleLaunchTimer();
+}
+
+function isLaunchStep(step, steps = transport.launchQuantize) {
+    return steps > 0 && step % steps === 0;
+}
+
+// Last and next launch points of the grid that runs on from the last downbeat while the sequencer is stopped
+function getFreeLaunchPoints(now, steps = transport.launchQuantize) {
+    const interval = steps * getStepDuration();
+    const last = transport.downbeatTime + Math.floor((now - transport.downbeatTime) / interval) * interval;
+    return { last, next: last + interval };
+}
 
-    if (padIndex >= 0 && padIndex < PAD_COUNT) {
-        handlePadRelease(padIndex, { type: 'midi' });
+// Whether something launched now is on a grid of `steps`. With nothing playing or waiting
+// while the sequencer is stopped, there is nothing to line up with, so now starts the grid.
+function isAtLaunchPoint(steps) {
+    const now = performance.now();
+    if (transport.isRunning) {
+        return isLaunchStep(transport.currentStep, steps) && now - transport.lastStepTime <= LAUNCH_GRACE_MS;
+    }
+    if (transport.downbeatTime === null || (!hasPendingLaunches() && !pads.some(pad => pad.isPlaying))) {
+        transport.downbeatTime = now;
+        return true;
     }
+    return now - getFreeLaunchPoints(now, steps).last <= LAUNCH_GRACE_MS;
 }
 
+function hasPendingLaunches() {
+    return pendingLaunches.size > 0 || pendingSceneId !== null;
+}
 
-// Clipboard Paste Support
-function setupClipboardEvents() {
-    document.addEventListener('paste', (e) => {
-        // Ignore paste if user is typing in an input
-        if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA') return;
+// Hold a start (or a loop restart) until the next launch point.
+// Returns false when it should happen right away instead.
+function queuePadLaunch(index, kind) {
+    if (!transport.launchQuantize || isAtLaunchPoint(transport.launchQuantize)) return false;
 
-        const clipboardData = e.clipboardData || window.clipboardData;
-        const pastedData = clipboardData.getData('Text');
-        const videoId = extractVideoId(pastedData);
+    pendingLaunches.set(index, kind);
+    if (kind === 'start') document.getElementById(`pad-${index}`).classList.add('queued');
+    scheduleLaunchTimer();
+    return true;
+}
 
-        if (videoId) {
-            if (activePadIndex !== null) {
-                // If a pad is active, load to that pad
-                loadVideoToPad(activePadIndex, videoId);
-            } else {
-                // Otherwise, find the first empty pad
-                const emptyIndex = pads.findIndex(p => !p.videoId);
-                if (emptyIndex !== -1) {
-                    loadVideoToPad(emptyIndex, videoId);
-                } else {
-                    alert('No empty pads available to paste video.');
-                }
-            }
+// Without the sequencer running, a timer stands in for its steps: it wakes at the next
+// launch point for waiting pads, or at the next bar for a waiting scene
+function scheduleLaunchTimer() {
+    clearTimeout(launchTimer);
+    launchTimer = null;
+    if (transport.isRunning) return;
+
+    const now = performance.now();
+    const wakeTimes = [];
+    if (pendingLaunches.size && transport.launchQuantize) wakeTimes.push(getFreeLaunchPoints(now).next);
+    if (pendingSceneId !== null) wakeTimes.push(getFreeLaunchPoints(now, SEQ_STEPS).next);
+    if (!wakeTimes.length) return;
+    launchTimer = setTimeout(runLaunchTimer, Math.max(0, Math.min(...wakeTimes) - now));
+}
+
+function runLaunchTimer() {
+    launchTimer = null;
+    const now = performance.now();
+    const { last, next } = getFreeLaunchPoints(now, SEQ_STEPS);
+    if (Math.min(now - last, next - now) <= LAUNCH_GRACE_MS) firePendingScene();
+    firePendingLaunches(); // Every bar is also a launch point of the finer grids
+    scheduleLaunchTimer();
+}
+
+function firePendingLaunches() {
+    const launches = [...pendingLaunches];
+    pendingLaunches.clear();
+
+    launches.forEach(([index, kind]) => {
+        const pad = pads[index];
+        document.getElementById(`pad-${index}`).classList.remove('queued');
+        if (!pad.player) return;
+        if (kind === 'loop') {
+            restartPadLoop(pad);
+        } else {
+            startPadPlayback(index);
         }
     });
 }
 
-// Keyboard (Musical Typing) Events
-function setupKeyboardEvents() {
-    // keyMap is defined globally above
+function cancelPadLaunch(index) {
+    if (!pendingLaunches.delete(index)) return;
+    document.getElementById(`pad-${index}`).classList.remove('queued');
+    scheduleLaunchTimer();
+}
 
-    document.addEventListener('keydown', (e) => {
-        // Ignore keyboard input if an input field is active
-        if (document.activeElement.tagName === 'INPUT') return;
-        if (e.repeat) return; // Prevent multiple triggers on key hold
+function cancelAllLaunches() {
+    [...pendingLaunches.keys()].forEach(cancelPadLaunch);
+}
 
-        // Spacebar to stop all playing pads
-        if (e.code === 'Space') {
-            e.preventDefault(); // Prevent scrolling
-            pads.forEach((pad, index) => {
-                if (pad.player && pad.player.pauseVideo) {
-                    pad.player.pauseVideo();
-                }
-                pad.isPlaying = false;
-                document.getElementById(`pad-${index}`).classList.remove('playing');
-            });
-            updateTransportIcon();
-            return;
-        }
+// ==========================================
+// SCENES
+// ==========================================
 
-        const key = e.key.toLowerCase();
-        if (keyMap.hasOwnProperty(key)) {
-            const index = keyMap[key];
-            handlePadTrigger(index, e);
-            document.getElementById(`pad-${index}`).classList.add('active'); // Visual feedback
-        }
+function setupScenes() {
+    document.getElementById('btn-scene-save').addEventListener('click', saveScene);
+    document.getElementById('btn-scene-bar').addEventListener('click', () => {
+        setScenes(scenes, !sceneLaunchOnBar);
+        updateUrlState();
     });
+    renderScenes();
+}
 
-    document.addEventListener('keyup', (e) => {
-        if (document.activeElement.tagName === 'INPUT') return;
+// Replace the scene list (and launch setting), dropping anything malformed
+function setScenes(list, launchOnBar) {
+    const ids = new Set();
+    scenes = (Array.isArray(list) ? list : []).filter(scene => {
+        if (!scene || !Number.isInteger(scene.id) || scene.id < 1 || ids.has(scene.id)) return false;
+        ids.add(scene.id);
+        return true;
+    }).map(scene => ({
+        id: scene.id,
+        name: String(scene.name || `Scene ${scene.id}`).slice(0, SCENE_NAME_MAX),
+        pads: [...new Set(Array.isArray(scene.pads) ? scene.pads : [])]
+            .filter(index => Number.isInteger(index) && index >= 0 && index < pads.length),
+        key: scene.key && typeof scene.key.code === 'string'
+            ? { code: scene.key.code, key: String(scene.key.key || '') } : null
+    }));
+    sceneLaunchOnBar = !!launchOnBar;
+    if (!scenes.some(scene => scene.id === currentSceneId)) currentSceneId = null;
+    if (!scenes.some(scene => scene.id === pendingSceneId)) cancelSceneLaunch();
+    renderScenes();
+}
 
-        const key = e.key.toLowerCase();
-        if (keyMap.hasOwnProperty(key)) {
-            const index = keyMap[key];
-            handlePadRelease(index, e);
-            document.getElementById(`pad-${index}`).classList.remove('active'); // Remove visual feedback
-        }
+function getScene(id) {
+    return scenes.find(scene => scene.id === id) || null;
+}
+
+// The pads playing right now, bottom of the stack first
+function getPlayingPadIndices() {
+    return activePadStack.filter(index => pads[index].isPlaying && pads[index].videoId);
+}
+
+function saveScene() {
+    const padIndices = getPlayingPadIndices();
+    if (!padIndices.length) {
+        alert('Play the pads you want in the scene, then save it.');
+        return;
+    }
+    const id = scenes.reduce((max, scene) => Math.max(max, scene.id), 0) + 1;
+    scenes.push({ id, name: `Scene ${id}`, pads: padIndices, key: null });
+    currentSceneId = id;
+    renderScenes();
+    updateUrlState();
+}
+
+// Shift+click: take the pads playing now instead
+function updateScenePads(id) {
+    const scene = getScene(id);
+    const padIndices = getPlayingPadIndices();
+    if (!scene || !padIndices.length) return;
+    scene.pads = padIndices;
+    renderScenes();
+    updateUrlState();
+}
+
+function renameScene(id) {
+    const scene = getScene(id);
+    if (!scene) return;
+    const name = prompt('Rename scene', scene.name);
+    if (name === null || !name.trim()) return;
+    scene.name = name.trim().slice(0, SCENE_NAME_MAX);
+    renderScenes();
+    updateUrlState();
+}
+
+function deleteScene(id) {
+    const scene = getScene(id);
+    if (!scene || !confirm(`Delete "${scene.name}"?`)) return;
+    scenes = scenes.filter(other => other !== scene);
+    if (currentSceneId === id) currentSceneId = null;
+    if (pendingSceneId === id) cancelSceneLaunch();
+    renderScenes();
+    updateUrlState();
+}
+
+// Move a scene to where another one sits in the row
+function moveScene(id, targetId) {
+    const from = scenes.findIndex(scene => scene.id === id);
+    const to = scenes.findIndex(scene => scene.id === targetId);
+    if (from === -1 || to === -1 || from === to) return;
+    const [scene] = scenes.splice(from, 1);
+    scenes.splice(to, 0, scene);
+    renderScenes();
+    updateUrlState();
+}
+
+// Start the scene's pads together and stop everything else, now or on the next bar
+function launchScene(id) {
+    if (!getScene(id)) return;
+    if (sceneLaunchOnBar && !isAtLaunchPoint(SEQ_STEPS)) {
+        pendingSceneId = id; // A later launch before the bar replaces this one
+        scheduleLaunchTimer();
+        renderScenes();
+        return;
+    }
+    startScene(id);
+}
+
+function startScene(id) {
+    const scene = getScene(id);
+    if (!scene) return;
+    pads.forEach((pad, index) => {
+        if (scene.pads.includes(index)) return;
+        if (pad.isPlaying || pendingLaunches.has(index)) stopPadPlayback(index);
+    });
+    scene.pads.forEach(index => {
+        const pad = pads[index];
+        if (!pad.videoId || !pad.player) return;
+        cancelPadLaunch(index);
+        pad.velocityGain = 1; // Not a performed hit
+        startPadPlayback(index);
     });
+    currentSceneId = id;
+    renderScenes();
 }
 
-// Playback Loop (for checking end times and updating playhead)
-function startPlaybackLoop() {
-    setInterval(() => {
-        pads.forEach((pad, index) => {
-            if (pad.isPlaying && pad.player && pad.player.getCurrentTime) {
-                const currentTime = pad.player.getCurrentTime();
-
-                // Update playhead position for the active pad
-                if (index === activePadIndex) {
-                    const percent = (currentTime / pad.duration) * 100;
-                    playhead.style.left = `${percent}%`;
-                }
+function firePendingScene() {
+    if (pendingSceneId === null) return;
+    const id = pendingSceneId;
+    pendingSceneId = null;
+    startScene(id);
+}
 
-                // Check if current time is at/near the defined end time
-                // Fix: Only apply EPSILON check if we are NOT at the natural end of the video.
-                // If endTime is the full duration, let the player finish naturally (triggered by ON_STATE_CHANGE -> ENDED).
-                // This prevents cutting off the last fraction of a second and ensures playhead reaches the end.
-                const isFullDuration = Math.abs(pad.duration - pad.endTime) < 0.1;
-
-                if (!isFullDuration && currentTime >= pad.endTime - LOOP_EPSILON) {
-                    if (pad.mode === 'loop') {
-                        // Loop mode: jump back with seek for tighter loop
-                        pad.player.seekTo(pad.startTime, true);
-                        pad.player.playVideo();
-                    } else {
-                        // Gate or One-Shot: Stop playback
-                        pad.player.pauseVideo();
-                        pad.player.seekTo(pad.startTime, true); // Reset to start time
-                        pad.isPlaying = false;
-                        document.getElementById(`pad-${index}`).classList.remove('playing');
-                        updateTransportIcon();
-                    }
-                }
+function cancelSceneLaunch() {
+    if (pendingSceneId === null) return;
+    pendingSceneId = null;
+    scheduleLaunchTimer();
+    renderScenes();
+}
+
+function findSceneByKey(e) {
+    return scenes.find(scene => scene.key && scene.key.code === e.code) || null;
+}
+
+function startSceneKeyCapture(id) {
+    stopKeyCapture();
+    sceneKeyCaptureId = id;
+    const keyEl = document.querySelector(`.scene[data-scene-id="${id}"] .scene-key`);
+    if (keyEl) keyEl.classList.add('capturing');
+}
+
+function handleSceneKeyCapture(e) {
+    // Same rules as pad keys: wait for a plain key, Space and Escape cancel
+    if (e.ctrlKey || e.metaKey || ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) return;
+    const id = sceneKeyCaptureId;
+    stopKeyCapture();
+    if (e.key === 'Escape' || e.code === 'Space') return;
+
+    const scene = getScene(id);
+    if (!scene) return;
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+        scene.key = null;
+    } else if (findKeySlot(e) !== -1) {
+        alert('That key plays a pad. Pick another key for this scene.');
+        return;
+    } else {
+        // A key launches one scene: the scene that had it loses it
+        scenes.forEach(other => {
+            if (other.key && other.key.code === e.code) other.key = null;
+        });
+        scene.key = { code: e.code, key: e.key.toLowerCase() };
+    }
+    renderScenes();
+    updateUrlState();
+}
+
+function renderScenes() {
+    const list = document.getElementById('scene-list');
+    list.innerHTML = '';
+
+    scenes.forEach(scene => {
+        const sceneEl = document.createElement('div');
+        sceneEl.classList.add('scene');
+        sceneEl.classList.toggle('current', scene.id === currentSceneId);
+        sceneEl.classList.toggle('queued', scene.id === pendingSceneId);
+        sceneEl.dataset.sceneId = scene.id;
+        sceneEl.dataset.midiLearn = `scene:${scene.id}`;
+        sceneEl.setAttribute('draggable', true);
+        sceneEl.title = `${scene.name}: ${scene.pads.map(getPadLabel).join(' ')}\n` +
+            'Click to launch, Shift+click to save the playing pads into it, double-click to rename, drag to reorder';
+
+        const nameEl = document.createElement('span');
+        nameEl.classList.add('scene-name');
+        nameEl.textContent = scene.name;
+
+        const keyEl = document.createElement('span');
+        keyEl.classList.add('scene-key');
+        keyEl.textContent = scene.key ? getKeyLabel(scene.key.key, scene.key.code) : '+';
+        keyEl.title = 'Click, then press a key to launch this scene (Delete to unbind)';
+        keyEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            startSceneKeyCapture(scene.id);
+        });
+
+        const deleteEl = document.createElement('span');
+        deleteEl.classList.add('scene-delete');
+        deleteEl.textContent = '×';
+        deleteEl.title = 'Delete scene';
+        deleteEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteScene(scene.id);
+        });
+
+        sceneEl.append(nameEl, keyEl, deleteEl);
+        sceneEl.addEventListener('click', (e) => {
+            if (e.shiftKey) {
+                updateScenePads(scene.id);
+            } else {
+                launchScene(scene.id);
             }
         });
-    }, 50); // Check every 50ms (20 times per second)
+        sceneEl.addEventListener('dblclick', () => renameScene(scene.id));
+        sceneEl.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-yousampler-scene', String(scene.id));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        sceneEl.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('application/x-yousampler-scene')) e.preventDefault();
+        });
+        sceneEl.addEventListener('drop', (e) => {
+            const draggedId = parseInt(e.dataTransfer.getData('application/x-yousampler-scene'), 10);
+            if (!draggedId) return;
+            e.preventDefault();
+            moveScene(draggedId, scene.id);
+        });
+        list.appendChild(sceneEl);
+    });
+
+    document.getElementById('btn-scene-bar').classList.toggle('active', sceneLaunchOnBar);
+    if (midiLearnActive) updateMidiLearnHighlight();
+}
+
+// ==========================================
+// PERFORMANCE RECORDER
+// ==========================================
+
+function setupRecorder() {
+    document.getElementById('btn-record').addEventListener('click', () => {
+        if (recorder.isRecording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+
+    document.getElementById('btn-take-play').addEventListener('click', () => {
+        if (recorder.isPlaying) {
+            stopTakePlayback();
+        } else {
+            startTakePlayback();
+        }
+    });
+
+    const btnOverdub = document.getElementById('btn-overdub');
+    btnOverdub.addEventListener('click', () => {
+        recorder.overdub = !recorder.overdub;
+        btnOverdub.classList.toggle('active', recorder.overdub);
+    });
+
+    const quantizeSelect = document.getElementById('take-quantize');
+    quantizeSelect.addEventListener('change', () => {
+        recorder.quantize = parseInt(quantizeSelect.value, 10) || 0;
+    });
+
+    updateRecorderControls();
+}
+
+function updateRecorderControls() {
+    document.getElementById('btn-record').classList.toggle('recording', recorder.isRecording);
+    const btnTakePlay = document.getElementById('btn-take-play');
+    btnTakePlay.classList.toggle('active', recorder.isPlaying);
+    btnTakePlay.disabled = recorder.events.length === 0 && !recorder.isPlaying;
+}
+
+function startRecording() {
+    if (recorder.isRecording) return;
+    const isOverdub = recorder.overdub && recorder.events.length > 0;
+
+    stopTakePlayback();
+    if (!isOverdub) {
+        recorder.events = [];
+        recorder.length = 0;
+    }
+    recorder.overdubEvents = [];
+    recorder.heldPads.clear();
+    recorder.isRecording = true;
+    recorder.startTime = performance.now();
+
+    // Overdubs hear the existing take while recording on top of it
+    if (isOverdub) startTakePlayback();
+
+    updateRecorderControls();
+}
+
+function stopRecording() {
+    if (!recorder.isRecording) return;
+    const elapsed = performance.now() - recorder.startTime;
+
+    // Close any notes still held so replay doesn't leave gate pads hanging
+    recorder.heldPads.forEach(index => {
+        recorder.overdubEvents.push({ time: elapsed, type: 'release', index, velocity: 0 });
+    });
+    recorder.heldPads.clear();
+
+    recorder.events = recorder.events.concat(recorder.overdubEvents).sort((a, b) => a.time - b.time);
+    recorder.overdubEvents = [];
+    recorder.length = Math.max(recorder.length, elapsed);
+    recorder.isRecording = false;
+    updateRecorderControls();
+}
+
+function capturePerformanceEvent(type, index, e) {
+    if (!recorder.isRecording || !e || isAutomatedTrigger(e)) return;
+
+    // Pointer leave events fire without a press, so only record releases we saw start
+    if (type === 'release' && !recorder.heldPads.has(index)) return;
+    if (type === 'trigger') {
+        recorder.heldPads.add(index);
+    } else {
+        recorder.heldPads.delete(index);
+    }
+
+    let velocity = 0;
+    if (type === 'trigger') velocity = getTriggerVelocity(e);
+
+    recorder.overdubEvents.push({
+        time: performance.now() - recorder.startTime,
+        type,
+        index,
+        velocity
+    });
+}
+
+// Quantize triggers to the replay grid; releases move with their trigger so hold lengths survive
+function buildTakeSchedule() {
+    const gridMs = recorder.quantize ? getStepDuration() * recorder.quantize : 0;
+    const shifts = {};
+
+    return recorder.events.map(event => {
+        let time = event.time;
+        if (event.type === 'trigger') {
+            const quantized = gridMs ? Math.round(time / gridMs) * gridMs : time;
+            shifts[event.index] = quantized - time;
+            time = quantized;
+        } else {
+            time += shifts[event.index] || 0;
+        }
+        return { ...event, time: Math.max(0, time) };
+    }).sort((a, b) => a.time - b.time);
+}
+
+function startTakePlayback() {
+    if (recorder.isPlaying || recorder.events.length === 0) return;
+    recorder.schedule = buildTakeSchedule();
+    recorder.scheduleIndex = 0;
+    recorder.isPlaying = true;
+    if (!recorder.isRecording) recorder.startTime = performance.now();
+    recorder.timer = setInterval(runTakePlayback, TAKE_TIMER_INTERVAL);
+    runTakePlayback();
+    updateRecorderControls();
+    updateTransportIcon();
+}
+
+function stopTakePlayback() {
+    if (!recorder.isPlaying) return;
+    clearInterval(recorder.timer);
+    recorder.timer = null;
+    recorder.isPlaying = false;
+
+    // Release anything the take left held
+    recorder.playbackHeldPads.forEach(index => handlePadRelease(index, { type: 'take' }));
+    recorder.playbackHeldPads.clear();
+    updateRecorderControls();
+    updateTransportIcon();
+}
+
+function runTakePlayback() {
+    const elapsed = performance.now() - recorder.startTime;
+
+    while (recorder.scheduleIndex < recorder.schedule.length && recorder.schedule[recorder.scheduleIndex].time <= elapsed) {
+        const event = recorder.schedule[recorder.scheduleIndex++];
+        if (event.type === 'trigger') {
+            handlePadTrigger(event.index, { type: 'take', velocity: event.velocity });
+            recorder.playbackHeldPads.add(event.index);
+        } else {
+            handlePadRelease(event.index, { type: 'take' });
+            recorder.playbackHeldPads.delete(event.index);
+        }
+    }
+
+    if (recorder.scheduleIndex >= recorder.schedule.length && elapsed >= recorder.length) {
+        clearInterval(recorder.timer);
+        recorder.timer = null;
+        recorder.isPlaying = false;
+        updateRecorderControls();
+        updateTransportIcon();
+    }
 }
 
 // ==========================================
 // 7. STATE SHARING (URL)
 // ==========================================
 
-function serializeState() {
-    const state = pads.map(p => {
-        if (!p.videoId) return null;
-        return {
-            v: p.videoId,
-            s: parseFloat(p.startTime.toFixed(2)),
-            e: parseFloat(p.endTime.toFixed(2)),
-            m: p.mode,
-            vol: p.volume,
-            r: p.playbackRate,
-            rt: p.retrigger ? 1 : 0
-        };
+// Share links are "<version><j|z>.<base64url payload>": j = packed JSON, z = deflated packed JSON.
+// Anything without that prefix is a legacy btoa(JSON) link.
+const STATE_VERSION = 2;
+const STATE_PREFIX_PATTERN = /^(\d+)([jz])\.(.*)$/;
+
+// Pad fields in packed tuple order, after [index, videoId]. Only ever append to this list;
+// trailing fields equal to their fallback are trimmed from the link.
+const PACKED_PAD_FIELDS = [
+    { key: 'startTime', pack: t => Math.round(t * 100), unpack: cs => cs / 100, fallback: 0 }, // centiseconds
+    { key: 'endTime', pack: t => Math.round(t * 100), unpack: cs => cs / 100, fallback: 0 },
+    { key: 'mode', pack: m => Math.max(0, PAD_MODES.indexOf(m)), unpack: i => PAD_MODES[i], fallback: 'gate' },
+    { key: 'volume', pack: v => v, unpack: v => v, fallback: 100 },
+    { key: 'playbackRate', pack: r => Math.round(r * 100), unpack: r => r / 100, fallback: 1 },
+    { key: 'retrigger', pack: b => b ? 1 : 0, unpack: b => !!b, fallback: true },
+    { key: 'steps', pack: stepsToMask, unpack: maskToSteps, fallback: new Array(SEQ_STEPS).fill(false) },
+    { key: 'chokeGroup', pack: g => g, unpack: g => g, fallback: 0 },
+    { key: 'velocityCurve', pack: c => Math.max(0, VELOCITY_CURVES.indexOf(c)), unpack: i => VELOCITY_CURVES[i], fallback: 'off' },
+    { key: 'fixedVelocity', pack: v => v, unpack: v => v, fallback: FIXED_VELOCITY_DEFAULT },
+    { key: 'sliceMarkers', pack: m => m.length ? m.map(t => Math.round(t * 100)) : 0, unpack: m => Array.isArray(m) ? m.map(cs => cs / 100) : [], fallback: [] },
+    { key: 'sliceOf', pack: i => i === null ? -1 : i, unpack: i => i >= 0 ? i : null, fallback: null },
+    { key: 'attack', pack: ms => ms, unpack: ms => ms, fallback: 0 },
+    { key: 'release', pack: ms => ms, unpack: ms => ms, fallback: 0 },
+    { key: 'muted', pack: b => b ? 1 : 0, unpack: b => !!b, fallback: false },
+    { key: 'soloed', pack: b => b ? 1 : 0, unpack: b => !!b, fallback: false },
+    { key: 'sourceBpm', pack: b => Math.round(b * 10), unpack: b => b / 10, fallback: 0 }, // tenths of a BPM
+    { key: 'loopBeats', pack: b => b, unpack: b => b, fallback: 0 },
+    { key: 'tempoSync', pack: b => b ? 1 : 0, unpack: b => !!b, fallback: false },
+    { key: 'loopLatency', pack: ms => ms, unpack: ms => ms, fallback: LOOP_LATENCY_DEFAULT },
+    { key: 'gapless', pack: b => b ? 1 : 0, unpack: b => !!b, fallback: false }
+];
+
+// Kit-wide fields, packed after the pad list
+const PACKED_GLOBAL_FIELDS = [
+    { key: 'bpm', pack: b => b, unpack: b => b, fallback: 120 },
+    { key: 'swing', pack: s => s, unpack: s => s, fallback: 50 },
+    { key: 'masterVolume', pack: v => v, unpack: v => v, fallback: 100 },
+    { key: 'masterRate', pack: r => Math.round(r * 100), unpack: r => r / 100, fallback: 1 },
+    { key: 'launchQuantize', pack: q => q, unpack: q => q, fallback: 0 },
+    { key: 'scenes', pack: packScenes, unpack: unpackScenes, fallback: [] },
+    { key: 'sceneOnBar', pack: b => b ? 1 : 0, unpack: b => !!b, fallback: false }
+];
+
+// Scenes as [id, name, key code, key, ...pad indices]
+function packScenes(list) {
+    if (!list.length) return 0;
+    return list.map(scene => [scene.id, scene.name, scene.key ? scene.key.code : '', scene.key ? scene.key.key : '', ...scene.pads]);
+}
+
+function unpackScenes(packed) {
+    if (!Array.isArray(packed)) return [];
+    return packed.filter(Array.isArray).map(([id, name, code, key, ...padIndices]) => ({
+        id, name, key: code ? { code, key } : null, pads: padIndices
+    }));
+}
+
+function stepsToMask(steps) {
+    return steps.reduce((bits, on, step) => on ? bits | (1 << step) : bits, 0);
+}
+
+function maskToSteps(mask) {
+    return Array.from({ length: SEQ_STEPS }, (_, step) => !!((mask || 0) & (1 << step)));
+}
+
+// Snapshot of the whole kit: { bpm, swing, masterVolume, masterRate, launchQuantize, scenes, sceneOnBar,
+// pads: [savedState | null] }
+function getKitState() {
+    return {
+        bpm: transport.bpm,
+        swing: transport.swing,
+        masterVolume: master.volume,
+        masterRate: master.rateMultiplier,
+        launchQuantize: transport.launchQuantize,
+        scenes: scenes.map(scene => ({ ...scene, pads: [...scene.pads] })),
+        sceneOnBar: sceneLaunchOnBar,
+        pads: pads.map(p => isPadShareable(p) ? getPadSavedState(p) : null)
+    };
+}
+
+function packFields(source, fields) {
+    const packed = fields.map(field => field.pack(source[field.key] !== undefined ? source[field.key] : field.fallback));
+    while (packed.length && packed[packed.length - 1] === fields[packed.length - 1].pack(fields[packed.length - 1].fallback)) {
+        packed.pop();
+    }
+    return packed;
+}
+
+function unpackFields(packed, fields) {
+    const result = {};
+    fields.forEach((field, i) => {
+        result[field.key] = (packed[i] !== undefined && packed[i] !== null) ? field.unpack(packed[i]) : field.fallback;
+    });
+    return result;
+}
+
+async function serializeState() {
+    const kit = getKitState();
+    const packedPads = [];
+    kit.pads.forEach((savedState, index) => {
+        if (savedState) packedPads.push([index, savedState.videoId, ...packFields(savedState, PACKED_PAD_FIELDS)]);
     });
-    return btoa(JSON.stringify(state));
+    const bytes = new TextEncoder().encode(JSON.stringify([packedPads, ...packFields(kit, PACKED_GLOBAL_FIELDS)]));
+
+    // Deflate only helps once a kit has a few pads; keep whichever is shorter
+    let encoded = `${STATE_VERSION}j.${bytesToBase64Url(bytes)}`;
+    if (typeof CompressionStream !== 'undefined') {
+        try {
+            const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+            const candidate = `${STATE_VERSION}z.${bytesToBase64Url(compressed)}`;
+            if (candidate.length < encoded.length) encoded = candidate;
+        } catch (e) {
+            // Fall back to the uncompressed encoding
+        }
+    }
+    return encoded;
 }
 
-function deserializeState(encoded) {
+// Decodes a share hash into kit state (the shape getKitState returns)
+async function deserializeState(encoded) {
     try {
-        const json = atob(encoded.replace(/ /g, '+')); // Guard against spaces replacing plus signs
-        return JSON.parse(json);
+        const match = STATE_PREFIX_PATTERN.exec(encoded);
+        if (!match) {
+            const json = atob(encoded.replace(/ /g, '+')); // Guard against spaces replacing plus signs
+            return expandLegacyUrlState(JSON.parse(json));
+        }
+
+        const version = parseInt(match[1], 10);
+        if (version > STATE_VERSION) throw new Error(`Unsupported state version ${version}`);
+
+        let bytes = base64UrlToBytes(match[3]);
+        if (match[2] === 'z') bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        const [packedPads, ...packedGlobals] = JSON.parse(new TextDecoder().decode(bytes));
+
+        const state = { ...unpackFields(packedGlobals, PACKED_GLOBAL_FIELDS), pads: new Array(pads.length).fill(null) };
+        packedPads.forEach(([index, videoId, ...fields]) => {
+            if (index >= 0 && index < pads.length) {
+                state.pads[index] = { videoId, ...unpackFields(fields, PACKED_PAD_FIELDS) };
+            }
+        });
+        return state;
     } catch (e) {
         console.error('Failed to deserialize state', e);
         return null;
     }
 }
 
-function updateUrlState() {
-    const encoded = serializeState();
+// Map short keys of legacy btoa(JSON) links back to full property names
+function expandLegacyUrlState(raw) {
+    // Links from before the sequencer stored a bare array of pads
+    const padStates = Array.isArray(raw) ? raw : (raw.p || []);
+    return {
+        bpm: Array.isArray(raw) ? null : raw.bpm,
+        swing: Array.isArray(raw) ? null : raw.sw,
+        pads: padStates.map(padState => {
+            if (!padState || !padState.v) return null;
+            return {
+                videoId: padState.v,
+                startTime: padState.s,
+                endTime: padState.e,
+                mode: padState.m,
+                volume: padState.vol,
+                playbackRate: padState.r,
+                retrigger: (padState.rt !== undefined) ? !!padState.rt : true,
+                steps: maskToSteps(padState.sq)
+            };
+        })
+    };
+}
+
+async function transformBytes(bytes, transformStream) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transformStream);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+let urlStateWrites = 0;
+
+async function updateUrlState() {
+    const write = ++urlStateWrites;
+    const encoded = await serializeState();
+    if (write !== urlStateWrites) return; // A newer edit is already being written
     history.replaceState(null, null, `#${encoded}`);
 }
 
-function captureUrlState() {
+async function captureUrlState() {
     const hash = window.location.hash.substring(1);
     if (!hash) return;
-    pendingUrlState = deserializeState(hash);
+    pendingUrlState = await deserializeState(hash);
     tryApplyUrlState();
 }
 
 function tryApplyUrlState() {
     if (!apiReady || stateApplied || !pendingUrlState) return;
 
-    pendingUrlState.forEach((padState, index) => {
-        if (padState && padState.v) {
-            // Map back to full property names
-            const fullState = {
-                videoId: padState.v,
-                startTime: padState.s,
-                endTime: padState.e,
-                mode: padState.m,
-                volume: padState.vol,
-                playbackRate: padState.r,
-                retrigger: (padState.rt !== undefined) ? !!padState.rt : true
-            };
-            loadVideoToPad(index, padState.v, false, fullState);
+    if (pendingUrlState.bpm) setTransportBpm(pendingUrlState.bpm);
+    if (pendingUrlState.swing) transport.swing = Math.max(50, Math.min(75, pendingUrlState.swing));
+    updateSequencerInputs();
+    setMasterBus(pendingUrlState.masterVolume, pendingUrlState.masterRate); // Older links fall back to unity
+    setLaunchQuantize(pendingUrlState.launchQuantize);
+    setScenes(pendingUrlState.scenes, pendingUrlState.sceneOnBar);
+
+    const loading = [];
+    pendingUrlState.pads.forEach((savedState, index) => {
+        if (savedState && index < pads.length) {
+            loadVideoToPad(index, savedState.videoId, false, savedState);
+            loading.push(index);
         }
     });
+    startLoadReport(loading);
 
     stateApplied = true;
 }
@@ -1482,10 +5340,20 @@ function startApiReadyPolling() {
 
 function setupShareEvents() {
     btnShare.addEventListener('click', () => {
-        const url = window.location.href;
+        if (!confirmLocalPadsLeftOut('The link')) return;
         const originalContent = btnShare.innerHTML;
 
-        navigator.clipboard.writeText(url).then(() => {
+        // Write from the click itself: after an await, Safari no longer counts it as a user gesture.
+        // Where it can, the clipboard gets a promise of the link, in case an edit is still being written.
+        let copied;
+        if (window.ClipboardItem) {
+            const link = updateUrlState().then(() => new Blob([window.location.href], { type: 'text/plain' }));
+            copied = navigator.clipboard.write([new ClipboardItem({ 'text/plain': link })]);
+        } else {
+            copied = navigator.clipboard.writeText(window.location.href); // The hash follows every edit
+        }
+
+        copied.then(() => {
             // Change to text
             btnShare.textContent = 'COPIED URL';
             btnShare.style.color = 'var(--accent-green)'; // Optional: success color
@@ -1504,17 +5372,27 @@ function setupShareEvents() {
 
 // Play/Pause Button (same as spacebar)
 function setupPlayPauseButton() {
-    btnPlayPause.addEventListener('click', () => {
-        // Same logic as spacebar: pause all playing pads
-        pads.forEach((pad, index) => {
-            if (pad.player && pad.player.pauseVideo) {
-                pad.player.pauseVideo();
-            }
-            pad.isPlaying = false;
-            document.getElementById(`pad-${index}`).classList.remove('playing');
-        });
-        updateTransportIcon();
+    // Same logic as spacebar: pause all playing pads
+    btnPlayPause.addEventListener('click', stopAllPads);
+}
+
+// Stop everything, including the sequencer so it can't re-trigger pads
+function stopAllPads() {
+    stopSequencer();
+    stopRecording();
+    stopTakePlayback();
+    cancelAllLaunches();
+    cancelSceneLaunch();
+    pads.forEach((pad, index) => {
+        cancelPadEnvelope(pad);
+        clearPadSeam(pad);
+        if (pad.player && pad.player.pauseVideo) {
+            pad.player.pauseVideo();
+        }
+        pad.isPlaying = false;
+        document.getElementById(`pad-${index}`).classList.remove('playing');
     });
+    updateTransportIcon();
 }
 
 // Helper to update video title with marquee check